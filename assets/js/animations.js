@@ -10,7 +10,245 @@
     const ANIMATION_CONFIG = {
         duration: 300,
         easing: 'cubic-bezier(0.4, 0.0, 0.2, 1)',
-        reducedMotionDuration: 0.01
+        reducedMotionDuration: 0.01,
+
+        // Выбор пользователя: 'auto' — по настройке системы, 'reduce' / 'full' — принудительно
+        motionPreferenceKey: 'koridor:motion-preference'
+    };
+
+    // Событие window, которое сообщает о смене политики движения (detail: { reduced, preference })
+    const MOTION_CHANGE_EVENT = 'koridor:motion-change';
+
+    const MOTION_PREFERENCES = ['auto', 'reduce', 'full'];
+
+    // Замены эффектов при уменьшенном движении: сдвиг и масштаб становятся сменой прозрачности,
+    // null — эффект не проигрывается и элемент сразу остаётся в конечном виде
+    const REDUCED_MOTION_SUBSTITUTES = {
+        slideInUp: 'fadeIn',
+        scaleIn: 'fadeIn',
+        shake: null,
+        typewriter: null
+    };
+
+    // Ключевые кадры эффектов: их используют и одиночные функции, и таймлайн (add({ effect: 'fadeIn' }))
+    const KEYFRAMES = {
+        fadeIn: () => [
+            { opacity: 0 },
+            { opacity: 1 }
+        ],
+        slideInUp: (options = {}) => [
+            { opacity: 0, transform: `translateY(${options.distance || 30}px)` },
+            { opacity: 1, transform: 'translateY(0)' }
+        ],
+        scaleIn: (options = {}) => [
+            { opacity: 0, transform: `scale(${options.scale || 0.8})` },
+            { opacity: 1, transform: 'scale(1)' }
+        ],
+        shake: (options = {}) => {
+            const intensity = options.intensity || 10;
+            return [
+                { transform: 'translateX(0)' },
+                { transform: `translateX(-${intensity}px)` },
+                { transform: `translateX(${intensity}px)` },
+                { transform: `translateX(-${intensity}px)` },
+                { transform: `translateX(${intensity}px)` },
+                { transform: 'translateX(0)' }
+            ];
+        }
+    };
+
+    // --- Политика движения ---
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    // Бесконечные анимации и время, на котором они замирают при уменьшенном движении
+    const loops = new Map();
+
+    // Анимации по прокрутке, которые снимаются при уменьшенном движении (scrub без essential)
+    const scrubs = new Set();
+
+    let motionReduced = false;
+
+    // Выбор пользователя читается из localStorage при загрузке и при событии storage,
+    // isReducedMotion() вызывается на каждый кадр печати и не должна трогать хранилище
+    let motionPreference = readMotionPreference();
+
+    /**
+     * Читает выбор пользователя из localStorage
+     * @returns {string} - 'auto', 'reduce' или 'full'
+     */
+    function readMotionPreference() {
+        const utils = window.KoridorUtils;
+        const preference = utils ? utils.getLocalStorage(ANIMATION_CONFIG.motionPreferenceKey) : null;
+        return MOTION_PREFERENCES.includes(preference) ? preference : 'auto';
+    }
+
+    /**
+     * Возвращает выбор пользователя
+     * @returns {string} - 'auto', 'reduce' или 'full'
+     */
+    function getMotionPreference() {
+        return motionPreference;
+    }
+
+    /**
+     * Проверяет, нужно ли уменьшать движение: выбор пользователя важнее настройки системы
+     * @returns {boolean} - true если действует уменьшенное движение
+     */
+    function isReducedMotion() {
+        if (motionPreference !== 'auto') return motionPreference === 'reduce';
+
+        return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    }
+
+    /**
+     * Останавливает бесконечную анимацию в кадре покоя
+     * @param {Animation} animation - анимация
+     * @param {number} restTime - время кадра покоя (мс)
+     */
+    function pauseLoop(animation, restTime) {
+        animation.pause();
+        animation.currentTime = restTime;
+    }
+
+    /**
+     * Снимает анимацию по прокрутке или возвращает её
+     * @param {Object} controller - внутреннее состояние scrub()
+     * @param {boolean} suspended - true чтобы снять анимацию
+     */
+    function suspendScrub(controller, suspended) {
+        controller.suspended = suspended;
+
+        if (suspended) {
+            controller.animation.cancel();
+        } else if (controller.native) {
+            // Браузер сам вернёт анимацию к положению прокрутки
+            controller.animation.play();
+        } else {
+            controller.animation.pause();
+            controller.update();
+        }
+    }
+
+    /**
+     * Регистрирует бесконечную анимацию: при уменьшенном движении она стоит на паузе
+     * @param {Animation} animation - анимация с iterations: Infinity
+     * @param {number} [restTime] - время кадра, в котором анимация замирает (мс)
+     * @returns {Animation} - та же анимация
+     */
+    function registerLoop(animation, restTime = 0) {
+        loops.set(animation, restTime);
+        animation.addEventListener('cancel', () => loops.delete(animation));
+
+        if (motionReduced) pauseLoop(animation, restTime);
+        return animation;
+    }
+
+    /**
+     * Отражает состояние в переключателях [data-motion-toggle]
+     */
+    function updateMotionToggles() {
+        document.querySelectorAll('[data-motion-toggle]').forEach(toggle => {
+            toggle.setAttribute('aria-pressed', String(motionReduced));
+        });
+    }
+
+    /**
+     * Применяет политику движения: атрибут data-motion на <html>, пауза циклов и событие смены
+     */
+    function applyMotionPolicy() {
+        const reduced = isReducedMotion();
+        document.documentElement.setAttribute('data-motion', reduced ? 'reduce' : 'full');
+
+        if (reduced !== motionReduced) {
+            motionReduced = reduced;
+            loops.forEach((restTime, animation) => {
+                if (reduced) {
+                    pauseLoop(animation, restTime);
+                } else {
+                    animation.play();
+                }
+            });
+            scrubs.forEach(controller => suspendScrub(controller, reduced));
+
+            window.dispatchEvent(new CustomEvent(MOTION_CHANGE_EVENT, {
+                detail: { reduced, preference: getMotionPreference() }
+            }));
+        }
+
+        updateMotionToggles();
+    }
+
+    /**
+     * Сохраняет выбор пользователя и сразу применяет его
+     * @param {string} preference - 'auto', 'reduce' или 'full'
+     * @returns {boolean} - true если выбор принят
+     */
+    function setMotionPreference(preference) {
+        if (!MOTION_PREFERENCES.includes(preference)) {
+            console.warn('Unknown motion preference:', preference);
+            return false;
+        }
+
+        const utils = window.KoridorUtils;
+        if (utils) {
+            if (preference === 'auto') {
+                utils.removeLocalStorage(ANIMATION_CONFIG.motionPreferenceKey);
+            } else {
+                utils.setLocalStorage(ANIMATION_CONFIG.motionPreferenceKey, preference);
+            }
+        }
+
+        motionPreference = preference;
+        applyMotionPolicy();
+        return true;
+    }
+
+    /**
+     * Переключает уменьшенное движение вручную
+     * @returns {boolean} - true если теперь движение уменьшено
+     */
+    function toggleReducedMotion() {
+        setMotionPreference(isReducedMotion() ? 'full' : 'reduce');
+        return motionReduced;
+    }
+
+    /**
+     * Выбирает эффект с учётом политики движения
+     * @param {string} name - имя эффекта
+     * @returns {string|null} - эффект для проигрывания или null, если его нужно пропустить
+     */
+    function resolveEffect(name) {
+        if (!isReducedMotion() || !(name in REDUCED_MOTION_SUBSTITUTES)) return name;
+        return REDUCED_MOTION_SUBSTITUTES[name];
+    }
+
+    /**
+     * Проигрывает эффект из KEYFRAMES с учётом политики движения и задержки
+     * @param {Element} element - DOM элемент для анимации
+     * @param {string} name - имя эффекта
+     * @param {Object} options - параметры вызова (duration, easing, delay и параметры кадров)
+     * @param {Object} timing - значения по умолчанию { duration, easing, fill }
+     * @returns {Promise} - Promise, который разрешается после завершения анимации
+     */
+    function runEffect(element, name, options, timing) {
+        if (!element) return Promise.resolve();
+
+        const effect = resolveEffect(name);
+        if (!effect) return Promise.resolve();
+
+        return element.animate(KEYFRAMES[effect](options), {
+            duration: options.duration || timing.duration,
+            easing: options.easing || timing.easing,
+            delay: options.delay || 0,
+            fill: timing.fill
+        }).finished;
+    }
+
+    // Появление: fill 'both' прячет элемент и на время задержки
+    const ENTRANCE_TIMING = {
+        duration: ANIMATION_CONFIG.duration,
+        easing: ANIMATION_CONFIG.easing,
+        fill: 'both'
     };
 
     /**
@@ -20,19 +258,7 @@
      * @returns {Promise} - Promise, который разрешается после завершения анимации
      */
     function fadeIn(element, options = {}) {
-        if (!element) return Promise.resolve();
-        
-        const duration = options.duration || ANIMATION_CONFIG.duration;
-        const easing = options.easing || ANIMATION_CONFIG.easing;
-        
-        return element.animate([
-            { opacity: 0 },
-            { opacity: 1 }
-        ], {
-            duration: duration,
-            easing: easing,
-            fill: 'forwards'
-        }).finished;
+        return runEffect(element, 'fadeIn', options, ENTRANCE_TIMING);
     }
 
     /**
@@ -42,26 +268,7 @@
      * @returns {Promise} - Promise, который разрешается после завершения анимации
      */
     function slideInUp(element, options = {}) {
-        if (!element) return Promise.resolve();
-        
-        const duration = options.duration || ANIMATION_CONFIG.duration;
-        const easing = options.easing || ANIMATION_CONFIG.easing;
-        const distance = options.distance || 30;
-        
-        return element.animate([
-            { 
-                opacity: 0,
-                transform: `translateY(${distance}px)`
-            },
-            { 
-                opacity: 1,
-                transform: 'translateY(0)'
-            }
-        ], {
-            duration: duration,
-            easing: easing,
-            fill: 'forwards'
-        }).finished;
+        return runEffect(element, 'slideInUp', options, ENTRANCE_TIMING);
     }
 
     /**
@@ -71,30 +278,12 @@
      * @returns {Promise} - Promise, который разрешается после завершения анимации
      */
     function scaleIn(element, options = {}) {
-        if (!element) return Promise.resolve();
-        
-        const duration = options.duration || ANIMATION_CONFIG.duration;
-        const easing = options.easing || ANIMATION_CONFIG.easing;
-        const scale = options.scale || 0.8;
-        
-        return element.animate([
-            { 
-                opacity: 0,
-                transform: `scale(${scale})`
-            },
-            { 
-                opacity: 1,
-                transform: 'scale(1)'
-            }
-        ], {
-            duration: duration,
-            easing: easing,
-            fill: 'forwards'
-        }).finished;
+        return runEffect(element, 'scaleIn', options, ENTRANCE_TIMING);
     }
 
     /**
      * Создаёт пульсирующую анимацию
+     * При уменьшенном движении цикл стоит на паузе в исходном кадре
      * @param {Element} element - DOM элемент для анимации
      * @param {Object} options - дополнительные параметры анимации
      * @returns {Animation} - Объект анимации для управления
@@ -105,15 +294,16 @@
         const duration = options.duration || 2000;
         const scale = options.scale || 1.05;
         
-        return element.animate([
+        return registerLoop(element.animate([
             { transform: 'scale(1)' },
             { transform: `scale(${scale})` },
             { transform: 'scale(1)' }
         ], {
             duration: duration,
+            delay: options.delay || 0,
             easing: 'ease-in-out',
             iterations: Infinity
-        });
+        }));
     }
 
     /**
@@ -123,26 +313,16 @@
      * @returns {Promise} - Promise, который разрешается после завершения анимации
      */
     function shake(element, options = {}) {
-        if (!element) return Promise.resolve();
-        
-        const duration = options.duration || 500;
-        const intensity = options.intensity || 10;
-        
-        return element.animate([
-            { transform: 'translateX(0)' },
-            { transform: `translateX(-${intensity}px)` },
-            { transform: `translateX(${intensity}px)` },
-            { transform: `translateX(-${intensity}px)` },
-            { transform: `translateX(${intensity}px)` },
-            { transform: 'translateX(0)' }
-        ], {
-            duration: duration,
-            easing: 'ease-in-out'
-        }).finished;
+        return runEffect(element, 'shake', options, {
+            duration: 500,
+            easing: 'ease-in-out',
+            fill: 'none'
+        });
     }
 
     /**
      * Создаёт анимацию вращения
+     * При уменьшенном движении цикл стоит на паузе в исходном кадре
      * @param {Element} element - DOM элемент для анимации
      * @param {Object} options - дополнительные параметры анимации
      * @returns {Animation} - Объект анимации для управления
@@ -154,20 +334,21 @@
         const direction = options.direction || 'normal';
         const degrees = direction === 'reverse' ? -360 : 360;
         
-        return element.animate([
+        return registerLoop(element.animate([
             { transform: 'rotate(0deg)' },
             { transform: `rotate(${degrees}deg)` }
         ], {
             duration: duration,
+            delay: options.delay || 0,
             easing: 'linear',
             iterations: Infinity
-        });
+        }));
     }
 
     /**
      * Создаёт анимацию появления элементов при скролле
      * @param {NodeList|Array} elements - DOM элементы для анимации
-     * @param {Object} options - дополнительные параметры анимации
+     * @param {Object} options - дополнительные параметры анимации (onReveal(element) — своя анимация)
      */
     function animateOnScroll(elements, options = {}) {
         if (!elements || elements.length === 0) return;
@@ -183,8 +364,11 @@
                     // Добавляем класс для CSS анимаций
                     element.classList.add('scroll-reveal');
                     
-                    // Используем Web Animations API для дополнительной анимации
-                    if (options.useWebAnimations) {
+                    // onReveal — своя анимация вместо animationType (её задают атрибуты data-anim)
+                    if (options.onReveal) {
+                        options.onReveal(element);
+                    } else if (options.useWebAnimations) {
+                        // Используем Web Animations API для дополнительной анимации
                         const animationType = options.animationType || 'slideInUp';
                         
                         switch (animationType) {
@@ -222,36 +406,404 @@
         return observer;
     }
 
+    // --- Печатная машинка ---
+
+    // Единицы текста прячутся через visibility, чтобы строки не перестраивались по ходу печати
+    const TYPEWRITER_STYLES = `
+        .koridor-typewriter__text {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            padding: 0;
+            margin: -1px;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border-width: 0;
+        }
+
+        .koridor-typewriter__unit--hidden {
+            visibility: hidden;
+        }
+
+        .koridor-typewriter__caret {
+            display: inline-block;
+            width: 0;
+            height: 1em;
+            margin-inline-end: -0.08em;
+            border-inline-end: 0.08em solid currentColor;
+            vertical-align: -0.1em;
+            animation: koridor-caret-blink 1s step-end infinite;
+        }
+
+        @keyframes koridor-caret-blink {
+            50% {
+                opacity: 0;
+            }
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+            html:not([data-motion="full"]) .koridor-typewriter__caret {
+                animation: none;
+            }
+        }
+
+        html[data-motion="reduce"] .koridor-typewriter__caret {
+            animation: none;
+        }
+    `;
+
+    // Связные письменности (арабская, сирийская, индийские): буквы меняют форму рядом с соседями,
+    // поэтому unit: 'auto' печатает такой текст по словам
+    const JOINING_SCRIPTS = /[\u0600-\u08FF\u0900-\u0DFF]/;
+
+    /**
+     * Делит строку на единицы печати
+     * @param {string} line - строка без переводов строки
+     * @param {string} unit - 'char' или 'word'
+     * @returns {Array<string>} - единицы; слово забирает пробелы после себя
+     */
+    function splitUnits(line, unit) {
+        if (unit === 'word') return line.match(/\S+\s*|\s+/g) || [];
+
+        // Графемы: эмодзи и буквы с диакритикой не распадаются на части
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+            return Array.from(segmenter.segment(line), part => part.segment);
+        }
+
+        return Array.from(line);
+    }
+
+    /**
+     * Печатная машинка: показывает текст по буквам или словам, стирает и печатает заново
+     * Единицы текста печатаются в обёртке <span aria-hidden="true">, а полный текст лежит рядом
+     * в визуально скрытом <span>, поэтому читалки экрана не озвучивают каждую букву. Перевод строки становится <br>,
+     * текст остаётся в логическом порядке, так что RTL и перенос строк работают как обычно.
+     *
+     * Шаги ставятся в очередь: type(text), pause(ms), delete(count), затем start().
+     * При уменьшенном движении шаги выполняются сразу, а цикл замирает на первом тексте.
+     */
+    class Typewriter {
+        /**
+         * @param {Element} element - элемент для печати
+         * @param {Object} [options] - { speed, deleteSpeed, unit, caret, loop, delay }
+         */
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = {
+                speed: 50, // единиц в секунду
+                deleteSpeed: 0, // 0 — вдвое быстрее печати
+                unit: 'auto', // 'char', 'word' или 'auto'
+                caret: true,
+                loop: false,
+                delay: 0,
+                ...options
+            };
+
+            this.steps = [];
+            this.units = []; // { node, text } в порядке печати
+            this.revealed = 0;
+            this.caret = null;
+            this.text = null; // визуально скрытый полный текст для читалок экрана
+            this.stage = null; // aria-hidden обёртка для единиц и каретки
+            this.run = null;
+        }
+
+        /**
+         * Добавляет в очередь печать текста после уже напечатанного
+         * @param {string} text - текст; '\n' переносит строку
+         * @returns {Typewriter} - та же машинка для цепочки вызовов
+         */
+        type(text) {
+            this.steps.push({ kind: 'type', text: String(text) });
+            return this;
+        }
+
+        /**
+         * Добавляет в очередь паузу
+         * @param {number} ms - длительность паузы (мс)
+         * @returns {Typewriter} - та же машинка для цепочки вызовов
+         */
+        pause(ms) {
+            this.steps.push({ kind: 'pause', ms });
+            return this;
+        }
+
+        /**
+         * Добавляет в очередь стирание с конца
+         * @param {number} [count] - сколько единиц стереть; без значения — всё
+         * @returns {Typewriter} - та же машинка для цепочки вызовов
+         */
+        delete(count) {
+            this.steps.push({ kind: 'delete', count });
+            return this;
+        }
+
+        /**
+         * Очищает элемент и проигрывает очередь (с loop — по кругу до stop())
+         * @returns {Promise} - Promise, который разрешается после последнего шага или stop()
+         */
+        start() {
+            this.stop();
+            if (window.KoridorUtils) {
+                window.KoridorUtils.injectStyles('koridor-typewriter-styles', TYPEWRITER_STYLES);
+            }
+
+            const run = { stopped: false, timer: null, wake: null };
+            this.run = run;
+
+            this.element.textContent = '';
+            this.units = [];
+            this.revealed = 0;
+            this.caret = null;
+
+            this.text = document.createElement('span');
+            this.text.className = 'koridor-typewriter__text';
+            this.stage = document.createElement('span');
+            this.stage.setAttribute('aria-hidden', 'true');
+            this.element.append(this.text, this.stage);
+
+            if (this.options.caret) {
+                this.caret = document.createElement('span');
+                this.caret.className = 'koridor-typewriter__caret';
+                this.stage.appendChild(this.caret);
+            }
+
+            return this.wait(this.options.delay, run).then(() => this.playSteps(run));
+        }
+
+        /**
+         * Останавливает печать; напечатанный текст и каретка остаются
+         */
+        stop() {
+            const run = this.run;
+            if (!run) return;
+
+            run.stopped = true;
+            clearTimeout(run.timer);
+            if (run.wake) run.wake();
+            this.run = null;
+        }
+
+        /**
+         * Останавливает печать и оставляет в элементе обычный текст без обёрток и каретки
+         */
+        destroy() {
+            this.stop();
+            this.element.textContent = this.getText();
+
+            this.text = null;
+            this.stage = null;
+            this.units = [];
+            this.revealed = 0;
+            this.caret = null;
+        }
+
+        /**
+         * Возвращает напечатанный текст
+         * @returns {string} - текст видимых единиц
+         */
+        getText() {
+            return this.units.slice(0, this.revealed).map(unit => unit.text).join('');
+        }
+
+        /**
+         * Проигрывает очередь шагов один раз и повторяет её при loop
+         * @param {Object} run - текущий запуск
+         * @returns {Promise} - Promise, который разрешается после последнего шага
+         */
+        playSteps(run) {
+            if (this.options.loop && isReducedMotion()) {
+                // Сменяющиеся надписи при уменьшенном движении замирают на первом тексте
+                const first = this.steps.find(step => step.kind === 'type');
+                this.clearUnits();
+                return first ? this.typeText(first.text, run) : Promise.resolve();
+            }
+
+            return this.steps.reduce((chain, step) => chain.then(() => {
+                if (!run.stopped) return this.playStep(step, run);
+            }), Promise.resolve()).then(() => {
+                if (this.options.loop && !run.stopped && this.steps.length > 0) return this.playSteps(run);
+            });
+        }
+
+        /**
+         * Выполняет один шаг очереди
+         * @param {Object} step - шаг { kind, text | ms | count }
+         * @param {Object} run - текущий запуск
+         * @returns {Promise|undefined} - Promise для шагов, которые занимают время
+         */
+        playStep(step, run) {
+            switch (step.kind) {
+                case 'type':
+                    return this.typeText(step.text, run);
+                case 'delete':
+                    return this.deleteUnits(step.count, run);
+                default:
+                    return this.tick(step.ms, run);
+            }
+        }
+
+        /**
+         * Добавляет текст скрытыми единицами и открывает их по одной
+         * @param {string} text - текст
+         * @param {Object} run - текущий запуск
+         * @returns {Promise} - Promise, который разрешается после последней единицы
+         */
+        typeText(text, run) {
+            const unit = this.options.unit === 'auto'
+                ? (JOINING_SCRIPTS.test(text) ? 'word' : 'char')
+                : this.options.unit;
+
+            const added = [];
+            text.split('\n').forEach((line, index) => {
+                if (index > 0) {
+                    added.push({ node: document.createElement('br'), text: '\n' });
+                }
+
+                splitUnits(line, unit).forEach(part => {
+                    const span = document.createElement('span');
+                    span.className = 'koridor-typewriter__unit koridor-typewriter__unit--hidden';
+                    span.textContent = part;
+                    added.push({ node: span, text: part });
+                });
+            });
+
+            added.forEach(item => this.stage.appendChild(item.node));
+            this.units.push(...added);
+
+            // Читалки экрана получают итоговый текст шага сразу, а не по буквам
+            this.updateText();
+
+            const interval = 1000 / this.options.speed;
+            return added.reduce((chain, item) => chain.then(() => {
+                if (run.stopped) return;
+
+                item.node.classList.remove('koridor-typewriter__unit--hidden');
+                this.revealed++;
+                this.placeCaret();
+                return this.tick(interval, run);
+            }), Promise.resolve());
+        }
+
+        /**
+         * Стирает единицы с конца по одной
+         * @param {number} [count] - сколько единиц стереть; без значения — всё
+         * @param {Object} run - текущий запуск
+         * @returns {Promise} - Promise, который разрешается после последней единицы
+         */
+        deleteUnits(count, run) {
+            const total = count === undefined ? this.revealed : Math.min(count, this.revealed);
+            const interval = 1000 / (this.options.deleteSpeed || this.options.speed * 2);
+
+            return Array.from({ length: total }).reduce((chain) => chain.then(() => {
+                if (run.stopped) return;
+
+                this.units.pop().node.remove();
+                this.revealed--;
+                this.updateText();
+                this.placeCaret();
+                return this.tick(interval, run);
+            }), Promise.resolve());
+        }
+
+        /**
+         * Убирает все единицы текста, оставляя каретку
+         */
+        clearUnits() {
+            this.units.forEach(item => item.node.remove());
+            this.units = [];
+            this.revealed = 0;
+            this.updateText();
+            this.placeCaret();
+        }
+
+        /**
+         * Переписывает скрытый текст для читалок экрана по текущим единицам
+         */
+        updateText() {
+            if (!this.text) return;
+
+            const fullText = this.units.map(item => item.text).join('');
+            this.text.textContent = fullText.replace(/\s*\n\s*/g, ' ').trim();
+        }
+
+        /**
+         * Ставит каретку после последней видимой единицы
+         */
+        placeCaret() {
+            if (!this.caret) return;
+
+            const last = this.units[this.revealed - 1];
+            if (last) {
+                last.node.after(this.caret);
+            } else {
+                this.stage.prepend(this.caret);
+            }
+        }
+
+        /**
+         * Пауза между шагами; при уменьшенном движении шаги идут без пауз
+         * @param {number} ms - длительность (мс)
+         * @param {Object} run - текущий запуск
+         * @returns {Promise|undefined} - Promise паузы или undefined без неё
+         */
+        tick(ms, run) {
+            if (isReducedMotion()) return undefined;
+            return this.wait(ms, run);
+        }
+
+        /**
+         * Ждёт указанное время; stop() прерывает ожидание
+         * @param {number} ms - длительность (мс)
+         * @param {Object} run - текущий запуск
+         * @returns {Promise} - Promise, который разрешается по таймеру или при остановке
+         */
+        wait(ms, run) {
+            return new Promise(resolve => {
+                if (run.stopped || !ms) {
+                    resolve();
+                    return;
+                }
+
+                run.wake = resolve;
+                run.timer = setTimeout(resolve, ms);
+            });
+        }
+    }
+
+    /**
+     * Создаёт печатную машинку для сменяющихся надписей
+     * @param {Element} element - элемент для печати
+     * @param {Object} [options] - { speed, deleteSpeed, unit, caret, loop, delay }
+     * @returns {Typewriter|null} - машинка или null без элемента
+     */
+    function createTypewriter(element, options = {}) {
+        if (!element) return null;
+        return new Typewriter(element, options);
+    }
+
     /**
      * Создаёт анимацию печатания текста
+     * После печати в элементе остаётся обычный текст без обёрток и каретки
      * @param {Element} element - DOM элемент с текстом
-     * @param {Object} options - дополнительные параметры анимации
+     * @param {Object} options - дополнительные параметры анимации (text, speed, unit, caret, delay)
      * @returns {Promise} - Promise, который разрешается после завершения анимации
      */
     function typewriter(element, options = {}) {
         if (!element) return Promise.resolve();
-        
-        const text = element.textContent;
-        const speed = options.speed || 50; // символов в секунду
-        const duration = (text.length / speed) * 1000;
-        
-        element.textContent = '';
-        element.style.width = '0';
-        element.style.whiteSpace = 'nowrap';
-        element.style.overflow = 'hidden';
-        
-        return element.animate([
-            { width: '0' },
-            { width: '100%' }
-        ], {
-            duration: duration,
-            easing: 'steps(' + text.length + ', end)',
-            fill: 'forwards'
-        }).finished.then(() => {
-            element.style.width = '';
-            element.style.whiteSpace = '';
-            element.style.overflow = '';
-        });
+
+        const text = options.text !== undefined ? String(options.text) : element.textContent;
+
+        // При уменьшенном движении текст сразу показывается целиком
+        if (!resolveEffect('typewriter')) {
+            element.textContent = text;
+            return Promise.resolve();
+        }
+
+        const writer = createTypewriter(element, { ...options, loop: false }).type(text);
+        return writer.start().then(() => writer.destroy());
     }
 
     /**
@@ -281,11 +833,11 @@
             dots.push(dot);
         }
         
-        // Анимируем точки
-        dots.forEach((dot, index) => {
+        // Анимируем точки; при уменьшенном движении они замирают в полном размере
+        const animations = dots.map((dot, index) => {
             const delay = (index * duration) / dotCount;
             
-            dot.animate([
+            return registerLoop(dot.animate([
                 { transform: 'scale(0)', opacity: 0.5 },
                 { transform: 'scale(1)', opacity: 1 },
                 { transform: 'scale(0)', opacity: 0.5 }
@@ -294,13 +846,14 @@
                 delay: delay,
                 easing: 'ease-in-out',
                 iterations: Infinity
-            });
+            }), delay + duration / 2);
         });
         
         return {
             container,
             dots,
             destroy: () => {
+                animations.forEach(animation => animation.cancel());
                 container.innerHTML = '';
             }
         };
@@ -321,7 +874,7 @@
      * @returns {Object} - адаптированные параметры
      */
     function adaptForReducedMotion(options = {}) {
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        if (isReducedMotion()) {
             return {
                 ...options,
                 duration: ANIMATION_CONFIG.reducedMotionDuration,
@@ -344,12 +897,12 @@
         }
         
         const staggerDelay = options.staggerDelay || 100;
-        const adaptedOptions = adaptForReducedMotion(options);
         
-        const animations = elements.map((element, index) => {
+        // Политику движения (замену эффекта, паузу циклов) применяет сама функция анимации
+        const animations = Array.from(elements).map((element, index) => {
             const elementOptions = {
-                ...adaptedOptions,
-                delay: (adaptedOptions.delay || 0) + (index * staggerDelay)
+                ...options,
+                delay: (options.delay || 0) + (index * staggerDelay)
             };
             
             return animationFunction(element, elementOptions);
@@ -358,6 +911,711 @@
         return Promise.all(animations);
     }
 
+    /**
+     * Приводит цели анимации к массиву элементов
+     * @param {Element|NodeList|Array|string} targets - элемент, список или CSS-селектор
+     * @returns {Array<Element>} - элементы
+     */
+    function toElements(targets) {
+        if (typeof targets === 'string') return Array.from(document.querySelectorAll(targets));
+        if (!targets) return [];
+        if (typeof targets.length === 'number') return Array.from(targets);
+        return [targets];
+    }
+
+    /**
+     * Таймлайн на Web Animations API: последовательности и наложения анимаций без GSAP
+     * Все анимации таймлайна идут по общим часам — служебной анимации без цели,
+     * длительность которой равна длительности таймлайна. Время измеряется в миллисекундах.
+     *
+     * Позиция в add() и addLabel():
+     *   не указана — конец таймлайна; число — абсолютное время;
+     *   '+=200' / '-=200' — смещение от конца; 'метка', 'метка+=200' — от метки
+     *   (неизвестная метка создаётся в конце таймлайна);
+     *   '<' / '>' — начало / конец предыдущей добавленной анимации, тоже со смещением: '<+=100'
+     */
+    class Timeline {
+        /**
+         * @param {Object} [options] - параметры таймлайна
+         * @param {Object} [options.defaults] - параметры по умолчанию для add({ ... }) (duration, easing, fill)
+         *   fill: 'forwards' не трогает элемент до начала его анимации; 'both' сразу выставляет первый кадр
+         */
+        constructor(options = {}) {
+            this.defaults = {
+                duration: ANIMATION_CONFIG.duration,
+                easing: ANIMATION_CONFIG.easing,
+                fill: 'forwards',
+                ...(options.defaults || {})
+            };
+            this.children = [];
+            this.labels = new Map();
+            this.duration = 0;
+            this.rate = 1;
+            this.previous = { start: 0, end: 0 };
+
+            this.clock = new Animation(new KeyframeEffect(null, null, { duration: 0, fill: 'both' }), document.timeline);
+            this.clock.pause();
+            this.clock.onfinish = () => this.settle();
+
+            this.finishedPromise = null;
+            this.resolveFinished = null;
+            this.resetFinished();
+        }
+
+        /**
+         * Создаёт ожидание конца следующего проигрывания, если прежнее уже выполнено
+         */
+        resetFinished() {
+            if (this.finishedPromise && this.resolveFinished) return;
+
+            this.finishedPromise = new Promise(resolve => {
+                this.resolveFinished = resolve;
+            });
+        }
+
+        /**
+         * Выполняет ожидание finished, когда часы дошли до края таймлайна
+         */
+        settle() {
+            if (!this.resolveFinished) return;
+
+            const resolve = this.resolveFinished;
+            this.resolveFinished = null;
+            resolve(this);
+        }
+
+        /**
+         * Promise, который выполняется, когда проигрывание (вперёд или назад) доходит до края таймлайна
+         * @returns {Promise<Timeline>}
+         */
+        get finished() {
+            return this.finishedPromise;
+        }
+
+        /**
+         * Вычисляет время по позиции
+         * @param {number|string} [position] - позиция (см. описание класса)
+         * @returns {number} - время в мс
+         */
+        resolvePosition(position) {
+            if (position === undefined || position === null) return this.duration;
+            if (typeof position === 'number') return Math.max(0, position);
+
+            const match = /^(.*?)(?:([+-])=(\d*\.?\d+))?$/.exec(String(position));
+            const base = match[1];
+            const offset = match[2] ? Number(match[3]) * (match[2] === '-' ? -1 : 1) : 0;
+
+            let time;
+            if (base === '') {
+                time = this.duration;
+            } else if (base === '<') {
+                time = this.previous.start;
+            } else if (base === '>') {
+                time = this.previous.end;
+            } else {
+                if (!this.labels.has(base)) this.labels.set(base, this.duration);
+                time = this.labels.get(base);
+            }
+
+            return Math.max(0, time + offset);
+        }
+
+        /**
+         * Ставит метку
+         * @param {string} name - имя метки
+         * @param {number|string} [position] - позиция метки, по умолчанию конец таймлайна
+         * @returns {Timeline} - этот таймлайн
+         */
+        addLabel(name, position) {
+            this.labels.set(name, this.resolvePosition(position));
+            return this;
+        }
+
+        /**
+         * Создаёт анимации для элемента таймлайна
+         * @param {Animation|KeyframeEffect|Object} item - анимация, эффект или описание
+         * @returns {Array<{animation: Animation, offset: number}>} - анимации и их сдвиг внутри элемента
+         */
+        createChildren(item) {
+            if (item instanceof Animation) {
+                item.pause();
+                return [{ animation: item, offset: item.effect.getTiming().delay || 0 }];
+            }
+
+            if (item instanceof KeyframeEffect) {
+                return [{ animation: new Animation(item, document.timeline), offset: item.getTiming().delay || 0 }];
+            }
+
+            if (!item || typeof item !== 'object') {
+                throw new TypeError('Timeline item must be an Animation, a KeyframeEffect or a description object');
+            }
+
+            const { targets, keyframes, effect, stagger = 0, ...timing } = item;
+            if (!keyframes && !KEYFRAMES[effect]) {
+                throw new TypeError(`Timeline item needs keyframes or a known effect: ${effect}`);
+            }
+
+            // При уменьшенном движении эффект заменяется (или остаётся пустым), а собственные кадры
+            // переключаются в конце своего отрезка: позиции остальных анимаций не сдвигаются
+            const reduced = isReducedMotion();
+            const substitute = effect ? resolveEffect(effect) : null;
+            const frames = keyframes || (substitute ? KEYFRAMES[substitute](timing) : []);
+
+            const { distance, scale, intensity, ...effectTiming } = { ...this.defaults, ...timing };
+            if (reduced && keyframes) effectTiming.easing = 'step-end';
+
+            return toElements(targets).map((element, index) => {
+                const offset = (effectTiming.delay || 0) + index * stagger;
+                const keyframeEffect = new KeyframeEffect(element, frames, { ...effectTiming, delay: offset });
+                return { animation: new Animation(keyframeEffect, document.timeline), offset };
+            });
+        }
+
+        /**
+         * Добавляет анимацию в таймлайн
+         * @param {Animation|KeyframeEffect|Object} item - анимация (например, из element.animate()), эффект
+         *   или описание { targets, keyframes | effect: 'fadeIn', duration, easing, delay, stagger, fill }
+         * @param {number|string} [position] - позиция (см. описание класса)
+         * @returns {Timeline} - этот таймлайн
+         */
+        add(item, position) {
+            const start = this.resolvePosition(position);
+            const children = this.createChildren(item);
+            let end = start;
+
+            children.forEach(child => {
+                const timing = child.animation.effect.getComputedTiming();
+                const length = child.offset + timing.activeDuration + (timing.endDelay || 0);
+
+                if (!Number.isFinite(length)) {
+                    console.warn('Infinite animations cannot be added to a timeline');
+                    child.animation.cancel();
+                    return;
+                }
+
+                child.animation.effect.updateTiming({ delay: start + child.offset });
+                end = Math.max(end, start + length);
+                this.children.push(child);
+            });
+
+            this.previous = { start, end };
+
+            if (end > this.duration) {
+                this.duration = end;
+                this.clock.effect.updateTiming({ duration: end });
+            }
+
+            this.sync(this.time());
+            return this;
+        }
+
+        /**
+         * Выставляет всем анимациям таймлайна одно время и состояние часов
+         * @param {number} time - время таймлайна в мс
+         */
+        sync(time) {
+            const running = this.clock.playState === 'running';
+            const now = document.timeline.currentTime;
+            const animations = [this.clock, ...this.children.map(child => child.animation)];
+
+            animations.forEach(animation => {
+                animation.playbackRate = this.rate;
+
+                if (running && now !== null) {
+                    // Общее время начала держит анимации в одной фазе без рассинхронизации кадров
+                    animation.startTime = now - time / this.rate;
+                } else {
+                    animation.pause();
+                    animation.currentTime = time;
+                }
+            });
+        }
+
+        /**
+         * Запускает часы с текущего времени в текущем направлении
+         * @returns {Timeline} - этот таймлайн
+         */
+        run() {
+            let time = this.time();
+
+            // Как и у WAAPI, проигрывание с края начинается заново
+            if (this.rate > 0 && time >= this.duration) time = 0;
+            if (this.rate < 0 && time <= 0) time = this.duration;
+
+            this.resetFinished();
+
+            if (this.duration === 0) {
+                this.sync(time);
+                this.settle();
+                return this;
+            }
+
+            this.clock.play();
+            this.sync(time);
+            return this;
+        }
+
+        /**
+         * Проигрывает таймлайн вперёд
+         * @param {number|string} [position] - откуда начать (время или метка)
+         * @returns {Timeline} - этот таймлайн
+         */
+        play(position) {
+            this.rate = Math.abs(this.rate);
+            if (position !== undefined) this.seek(position);
+            return this.run();
+        }
+
+        /**
+         * Проигрывает таймлайн назад от текущего времени
+         * @returns {Timeline} - этот таймлайн
+         */
+        reverse() {
+            this.rate = -Math.abs(this.rate);
+            return this.run();
+        }
+
+        /**
+         * Останавливает таймлайн на текущем времени
+         * @returns {Timeline} - этот таймлайн
+         */
+        pause() {
+            const time = this.time();
+            this.clock.pause();
+            this.sync(time);
+            return this;
+        }
+
+        /**
+         * Переходит к времени или метке, не меняя состояние проигрывания
+         * @param {number|string} position - время в мс или позиция (см. описание класса)
+         * @returns {Timeline} - этот таймлайн
+         */
+        seek(position) {
+            this.sync(Math.min(this.resolvePosition(position), this.duration));
+            return this;
+        }
+
+        /**
+         * Текущее время таймлайна
+         * @returns {number} - время в мс
+         */
+        time() {
+            return Math.min(Math.max(this.clock.currentTime || 0, 0), this.duration);
+        }
+
+        /**
+         * Читает или задаёт прогресс таймлайна
+         * @param {number} [value] - прогресс от 0 до 1
+         * @returns {number|Timeline} - прогресс или этот таймлайн, если значение задано
+         */
+        progress(value) {
+            if (value === undefined) {
+                return this.duration > 0 ? this.time() / this.duration : 1;
+            }
+
+            return this.seek(Math.min(Math.max(value, 0), 1) * this.duration);
+        }
+
+        /**
+         * Проверяет, идёт ли проигрывание
+         * @returns {boolean} - true если часы запущены
+         */
+        isActive() {
+            return this.clock.playState === 'running';
+        }
+
+        /**
+         * Останавливает таймлайн и снимает все его эффекты с элементов
+         */
+        cancel() {
+            this.clock.cancel();
+            this.children.forEach(child => child.animation.cancel());
+        }
+    }
+
+    /**
+     * Создаёт таймлайн Web Animations API
+     * Таймлайн создаётся остановленным: его запускает play()
+     * @param {Object} [options] - параметры таймлайна (см. Timeline)
+     * @returns {Timeline|null} - таймлайн или null, если браузер не поддерживает Web Animations API
+     */
+    function createTimeline(options = {}) {
+        if (!supportsWebAnimations() || typeof KeyframeEffect === 'undefined') {
+            console.warn('Web Animations API is not supported, timeline is unavailable');
+            return null;
+        }
+
+        return new Timeline(options);
+    }
+
+    // --- Анимации по прокрутке ---
+
+    // Запасной режим без ScrollTimeline: прогресс прокрутки 0..1 переводится в currentTime
+    // приостановленной анимации длительностью SCRUB_DURATION, пересчёт не чаще раза в SCRUB_THROTTLE мс
+    const SCRUB_DURATION = 1000;
+    const SCRUB_THROTTLE = 16;
+
+    // Смещение диапазона: '20%' или 'entry 20%' (cover, contain, entry, exit — для source: 'view')
+    const RANGE_OFFSET = /^(?:(cover|contain|entry|exit)\s+)?(-?\d+(?:\.\d+)?)%$/;
+
+    /**
+     * Разбирает смещение диапазона прокрутки
+     * @param {string} value - смещение, например 'entry 20%'
+     * @returns {Object|null} - { name, percent } или null, если смещение не распознано
+     */
+    function parseRangeOffset(value) {
+        const match = RANGE_OFFSET.exec(String(value).trim());
+        if (!match) return null;
+
+        return { name: match[1] || 'cover', percent: parseFloat(match[2]) };
+    }
+
+    /**
+     * Переводит смещение диапазона ViewTimeline в путь элемента через область просмотра
+     * Путь 0 — край элемента касается области просмотра с конца, viewport + size — элемент ушёл за её начало
+     * @param {Object} offset - { name, percent }
+     * @param {number} size - размер элемента по оси прокрутки
+     * @param {number} viewport - размер области просмотра по оси прокрутки
+     * @returns {number} - положение на пути элемента (px)
+     */
+    function resolveViewOffset(offset, size, viewport) {
+        const ranges = {
+            cover: [0, viewport + size],
+            contain: [Math.min(size, viewport), Math.max(size, viewport)],
+            entry: [0, size],
+            exit: [viewport, viewport + size]
+        };
+
+        const [start, end] = ranges[offset.name];
+        return start + (end - start) * offset.percent / 100;
+    }
+
+    /**
+     * Измеряет прогресс прокрутки внутри диапазона (запасной режим)
+     * @param {Object} state - { element, scroller, isView, vertical, range }
+     * @returns {number} - прогресс от 0 до 1
+     */
+    function measureScrollProgress(state) {
+        let position, start, end;
+
+        if (state.isView) {
+            const rect = state.element.getBoundingClientRect();
+            const viewport = state.vertical ? window.innerHeight : window.innerWidth;
+            const size = state.vertical ? rect.height : rect.width;
+
+            position = viewport - (state.vertical ? rect.top : rect.left);
+            start = resolveViewOffset(state.range[0], size, viewport);
+            end = resolveViewOffset(state.range[1], size, viewport);
+        } else {
+            const scroller = state.scroller;
+            const max = state.vertical
+                ? scroller.scrollHeight - scroller.clientHeight
+                : scroller.scrollWidth - scroller.clientWidth;
+
+            position = state.vertical ? scroller.scrollTop : scroller.scrollLeft;
+            start = max * state.range[0].percent / 100;
+            end = max * state.range[1].percent / 100;
+        }
+
+        if (end === start) return position >= end ? 1 : 0;
+        return Math.min(1, Math.max(0, (position - start) / (end - start)));
+    }
+
+    /**
+     * Привязывает анимацию к прокрутке: параллакс, индикаторы прогресса, туннель при прокрутке
+     * Где есть ScrollTimeline / ViewTimeline, анимацию ведёт браузер; в остальных браузерах
+     * прогресс пересчитывается по событию scroll через requestAnimationFrame и KoridorUtils.throttle.
+     * При уменьшенном движении анимация снимается, если она не помечена как essential
+     * (например, индикатор прогресса чтения)
+     *
+     * source: 'document' — прокрутка страницы, 'view' — путь элемента через область просмотра,
+     * Element — собственная прокрутка контейнера. range: [начало, конец], например ['0%', '50%']
+     * или ['entry 0%', 'exit 100%'] для 'view'
+     * @param {Element} element - DOM элемент для анимации
+     * @param {Array|Object} keyframes - ключевые кадры
+     * @param {Object} [options] - { source, range, axis, easing, essential }
+     * @returns {Object|null} - { animation, update, destroy } или null без поддержки
+     */
+    function scrub(element, keyframes, options = {}) {
+        if (!element || !supportsWebAnimations()) return null;
+
+        const source = options.source || 'document';
+        const isView = source === 'view';
+        const scroller = source === 'document' ? (document.scrollingElement || document.documentElement) : source;
+
+        if (!isView && !(scroller instanceof Element)) {
+            console.warn('Unknown scrub source:', source);
+            return null;
+        }
+
+        const axis = options.axis || 'block';
+        const defaultRange = isView ? ['cover 0%', 'cover 100%'] : ['0%', '100%'];
+        let range = options.range || defaultRange;
+
+        if (range.length !== 2 || !range.every(parseRangeOffset)) {
+            console.warn('Invalid scrub range, using the default:', range);
+            range = defaultRange;
+        }
+
+        const timing = {
+            easing: options.easing || 'linear',
+            fill: 'both'
+        };
+
+        const native = isView ? typeof ViewTimeline !== 'undefined' : typeof ScrollTimeline !== 'undefined';
+        const controller = { animation: null, native, update: () => {}, destroy: null, suspended: false };
+        let detach = () => {};
+
+        if (native) {
+            const timeline = isView
+                ? new ViewTimeline({ subject: element, axis })
+                : new ScrollTimeline({ source: scroller, axis });
+
+            controller.animation = element.animate(keyframes, {
+                ...timing,
+                timeline,
+                rangeStart: range[0],
+                rangeEnd: range[1]
+            });
+        } else {
+            const animation = element.animate(keyframes, { ...timing, duration: SCRUB_DURATION });
+            animation.pause();
+            controller.animation = animation;
+
+            const state = {
+                element,
+                scroller,
+                isView,
+                vertical: axis === 'block' || axis === 'y',
+                range: range.map(parseRangeOffset)
+            };
+
+            let frame = null;
+            controller.update = () => {
+                if (!controller.suspended) {
+                    animation.currentTime = measureScrollProgress(state) * SCRUB_DURATION;
+                }
+            };
+
+            const requestUpdate = () => {
+                if (frame !== null) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    controller.update();
+                });
+            };
+
+            // throttle пропускает последние события, поэтому конечное положение досчитывается после остановки
+            const utils = window.KoridorUtils;
+            const throttled = utils ? utils.throttle(requestUpdate, SCRUB_THROTTLE) : requestUpdate;
+            const settle = utils ? utils.debounce(requestUpdate, 100) : () => {};
+            const onScroll = () => {
+                throttled();
+                settle();
+            };
+
+            const target = source === 'document' || isView ? window : scroller;
+            target.addEventListener('scroll', onScroll, { passive: true });
+            window.addEventListener('resize', onScroll);
+
+            detach = () => {
+                target.removeEventListener('scroll', onScroll);
+                window.removeEventListener('resize', onScroll);
+                if (frame !== null) cancelAnimationFrame(frame);
+            };
+
+            controller.update();
+        }
+
+        controller.destroy = () => {
+            detach();
+            scrubs.delete(controller);
+            controller.animation.cancel();
+        };
+
+        if (!options.essential) {
+            scrubs.add(controller);
+            if (motionReduced) suspendScrub(controller, true);
+        }
+
+        return {
+            animation: controller.animation,
+            update: () => controller.update(),
+            destroy: controller.destroy
+        };
+    }
+
+    // --- Декларативные анимации ---
+
+    // Эффекты атрибута data-anim="имя"
+    const DECLARATIVE_EFFECTS = {
+        fadeIn,
+        slideInUp,
+        scaleIn,
+        shake,
+        pulse,
+        rotate,
+        typewriter
+    };
+
+    // Появления ждут запуска скрытыми (data-anim-state="pending"), бесконечные циклы запускаются один раз
+    const ENTRANCE_EFFECTS = ['fadeIn', 'slideInUp', 'scaleIn'];
+    const LOOP_EFFECTS = ['pulse', 'rotate'];
+
+    const DECLARATIVE_TRIGGERS = ['scroll', 'hover', 'click', 'load'];
+
+    // Параметры подключённых элементов и элементы, анимация которых идёт сейчас
+    const declarativeConfigs = new WeakMap();
+    const playingElements = new WeakSet();
+
+    /**
+     * Читает параметры анимации из атрибутов элемента
+     * @param {Element} element - элемент с data-anim
+     * @returns {Object|null} - { name, trigger, delay, stagger, once } или null для неизвестных значений
+     */
+    function readAnimationAttributes(element) {
+        const name = element.getAttribute('data-anim');
+        if (!Object.prototype.hasOwnProperty.call(DECLARATIVE_EFFECTS, name)) {
+            console.warn('Unknown data-anim effect:', name);
+            return null;
+        }
+
+        const trigger = element.getAttribute('data-anim-trigger') || 'scroll';
+        if (!DECLARATIVE_TRIGGERS.includes(trigger)) {
+            console.warn('Unknown data-anim-trigger:', trigger);
+            return null;
+        }
+
+        const stagger = element.getAttribute('data-anim-stagger');
+
+        return {
+            name,
+            trigger,
+            delay: parseInt(element.getAttribute('data-anim-delay'), 10) || 0,
+            // data-anim-stagger без значения — 100 мс между дочерними элементами
+            stagger: stagger === null ? null : (parseInt(stagger, 10) || 100),
+            once: element.hasAttribute('data-anim-once')
+        };
+    }
+
+    /**
+     * Возвращает элементы, которые анимирует data-anim: сам элемент или, с data-anim-stagger, его детей
+     * @param {Element} element - элемент с data-anim
+     * @param {Object} config - параметры из атрибутов
+     * @returns {Array<Element>} - цели анимации
+     */
+    function getDeclarativeTargets(element, config) {
+        return config.stagger === null ? [element] : Array.from(element.children);
+    }
+
+    /**
+     * Проигрывает анимацию элемента по его атрибутам
+     * Пока анимация идёт, повторный запуск (наведение, нажатие) пропускается
+     * @param {Element} element - элемент с data-anim
+     * @returns {Promise} - Promise, который разрешается после завершения анимации
+     */
+    function playDeclarativeAnimation(element) {
+        const config = declarativeConfigs.get(element);
+        if (!config || playingElements.has(element)) return Promise.resolve();
+
+        playingElements.add(element);
+
+        const effect = DECLARATIVE_EFFECTS[config.name];
+        const release = () => {
+            if (!LOOP_EFFECTS.includes(config.name)) playingElements.delete(element);
+        };
+
+        return staggerAnimation(getDeclarativeTargets(element, config), (target, options) => {
+            target.removeAttribute('data-anim-state');
+            return effect(target, options);
+        }, {
+            delay: config.delay,
+            staggerDelay: config.stagger
+        }).then(release, release);
+    }
+
+    /**
+     * Подключает анимации из атрибутов data-anim внутри корня (и у самого корня)
+     * Повторный вызов для уже подключённых элементов ничего не делает
+     *
+     * data-anim="scaleIn" — эффект (fadeIn, slideInUp, scaleIn, shake, pulse, rotate, typewriter);
+     * data-anim-delay="200" — задержка (мс); data-anim-stagger="100" — анимировать детей по очереди;
+     * data-anim-trigger="scroll|hover|click|load" — запуск (по умолчанию scroll);
+     * data-anim-once — наведение и нажатие срабатывают один раз (scroll и load срабатывают один раз всегда)
+     * @param {Element|Document} [root] - корень поиска
+     * @returns {Array<Element>} - подключённые элементы
+     */
+    function bindDeclarativeAnimations(root = document) {
+        const elements = Array.from(root.querySelectorAll('[data-anim]'));
+        if (root.matches && root.matches('[data-anim]')) elements.unshift(root);
+
+        const bound = [];
+        const scrollElements = [];
+
+        elements.forEach(element => {
+            if (declarativeConfigs.has(element)) return;
+
+            const config = readAnimationAttributes(element);
+            if (!config) return;
+
+            declarativeConfigs.set(element, config);
+            bound.push(element);
+
+            if (config.trigger === 'hover' || config.trigger === 'click') {
+                // Наведение срабатывает и при фокусе с клавиатуры
+                const events = config.trigger === 'hover' ? ['mouseenter', 'focusin'] : ['click'];
+                const handler = () => {
+                    if (config.once) {
+                        events.forEach(type => element.removeEventListener(type, handler));
+                    }
+                    playDeclarativeAnimation(element);
+                };
+
+                events.forEach(type => element.addEventListener(type, handler));
+                return;
+            }
+
+            // Появление скрыто до запуска, чтобы элемент не мелькал до анимации
+            if (ENTRANCE_EFFECTS.includes(config.name)) {
+                getDeclarativeTargets(element, config).forEach(target => {
+                    target.setAttribute('data-anim-state', 'pending');
+                });
+            }
+
+            if (config.trigger === 'scroll' && typeof IntersectionObserver !== 'undefined') {
+                scrollElements.push(element);
+            } else {
+                playDeclarativeAnimation(element);
+            }
+        });
+
+        if (scrollElements.length > 0) {
+            animateOnScroll(scrollElements, { onReveal: playDeclarativeAnimation });
+        }
+
+        return bound;
+    }
+
+    /**
+     * Следит за добавленными на страницу элементами и подключает их data-anim
+     * @returns {MutationObserver|null} - наблюдатель или null без поддержки MutationObserver
+     */
+    function observeDeclarativeAnimations() {
+        if (typeof MutationObserver === 'undefined' || !document.body) return null;
+
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) bindDeclarativeAnimations(node);
+                });
+            });
+        });
+
+        observer.observe(document.body, { childList: true, subtree: true });
+        return observer;
+    }
+
     // Экспортируем функции для использования в других модулях
     window.KoridorAnimations = {
         fadeIn,
@@ -367,15 +1625,55 @@
         shake,
         rotate,
         animateOnScroll,
+        scrub,
         typewriter,
+        createTypewriter,
         createLoadingDots,
         supportsWebAnimations,
         adaptForReducedMotion,
-        staggerAnimation
+        staggerAnimation,
+        bindDeclarativeAnimations,
+        createTimeline,
+        isReducedMotion,
+        getMotionPreference,
+        setMotionPreference,
+        toggleReducedMotion,
+        MOTION_CHANGE_EVENT
     };
 
-    // Автоматическая инициализация анимаций при скролле
+    // Политика движения следит за настройкой системы и выбором пользователя в других вкладках
+    if (reducedMotionQuery) {
+        if (reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', applyMotionPolicy);
+        } else {
+            reducedMotionQuery.addListener(applyMotionPolicy);
+        }
+    }
+
+    window.addEventListener('storage', (e) => {
+        // key null — хранилище очищено целиком
+        if (e.key === ANIMATION_CONFIG.motionPreferenceKey || e.key === null) {
+            motionPreference = readMotionPreference();
+            applyMotionPolicy();
+        }
+    });
+
+    applyMotionPolicy();
+
+    // Переключатели уменьшенного движения: <button type="button" data-motion-toggle>
+    document.addEventListener('click', (e) => {
+        if (e.target.closest && e.target.closest('[data-motion-toggle]')) {
+            toggleReducedMotion();
+        }
+    });
+
+    // Состояние переключателей, анимации из атрибутов data-anim и автоматическая инициализация анимаций при скролле
     document.addEventListener('DOMContentLoaded', () => {
+        updateMotionToggles();
+
+        bindDeclarativeAnimations(document);
+        observeDeclarativeAnimations();
+
         const scrollElements = document.querySelectorAll('.scroll-animate');
         if (scrollElements.length > 0) {
             animateOnScroll(scrollElements, {
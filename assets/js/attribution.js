@@ -0,0 +1,277 @@
+/**
+ * Атрибуция переходов для проекта Коридор
+ * Собирает UTM-метки и реферер посетителя и упаковывает их в параметр ?start= Telegram
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const ATTRIBUTION_CONFIG = {
+        // Ключ для хранения первой атрибуции в localStorage
+        storageKey: 'koridor:attribution',
+
+        // Срок жизни сохранённой атрибуции (30 дней)
+        ttl: 30 * 24 * 60 * 60 * 1000,
+
+        // Ограничения Telegram на параметр ?start=
+        maxPayloadLength: 64,
+
+        // Префиксы формата полезной нагрузки
+        prefixes: {
+            compact: 'b',
+            hashed: 'h'
+        }
+    };
+
+    // Короткие ключи для компактного кодирования (порядок важен для стабильности)
+    const FIELD_KEYS = {
+        utm_source: 's',
+        utm_medium: 'm',
+        utm_campaign: 'c',
+        utm_term: 't',
+        utm_content: 'n',
+        ref: 'x',
+        referrer: 'r'
+    };
+
+    const START_PAYLOAD_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+    /**
+     * Кодирует строку в base64url (UTF-8, без заполнителей)
+     * @param {string} value - исходная строка
+     * @returns {string} - строка в base64url
+     */
+    function toBase64Url(value) {
+        const bytes = new TextEncoder().encode(value);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Декодирует строку из base64url
+     * @param {string} value - строка в base64url
+     * @returns {string} - исходная строка
+     */
+    function fromBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        const binary = atob(padded);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Быстрый 53-битный хэш строки (cyrb53)
+     * @param {string} value - исходная строка
+     * @returns {string} - хэш в base36
+     */
+    function hash(value) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < value.length; i++) {
+            const ch = value.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * Возвращает хост реферера, если посетитель пришёл с другого сайта
+     * @returns {string|null} - хост реферера или null
+     */
+    function getReferrerHost() {
+        if (!document.referrer) return null;
+
+        try {
+            const host = new URL(document.referrer).hostname;
+            return host && host !== window.location.hostname ? host.replace(/^www\./, '') : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Собирает атрибуцию из адреса текущей страницы
+     * @param {string} url - адрес для разбора
+     * @returns {Object} - найденные поля атрибуции (может быть пустым)
+     */
+    function collect(url = window.location.href) {
+        const params = window.KoridorUtils
+            ? window.KoridorUtils.getUrlParams(url)
+            : Object.fromEntries(new URL(url).searchParams);
+        const data = {};
+
+        Object.keys(FIELD_KEYS).forEach(field => {
+            if (field !== 'referrer' && params[field]) {
+                data[field] = params[field].trim();
+            }
+        });
+
+        const referrer = getReferrerHost();
+        if (referrer) {
+            data.referrer = referrer;
+        }
+
+        // Готовый payload для бота пробрасываем как есть
+        if (params.start && START_PAYLOAD_PATTERN.test(params.start)) {
+            data.start = params.start;
+        }
+
+        return data;
+    }
+
+    /**
+     * Сохраняет первую атрибуцию и возвращает актуальную
+     * Новые UTM-метки перекрывают сохранённые, пустой визит использует сохранённые
+     * @returns {Object} - атрибуция текущего посетителя
+     */
+    function capture() {
+        const current = collect();
+        const utils = window.KoridorUtils;
+
+        if (Object.keys(current).length > 0) {
+            if (utils) {
+                utils.setLocalStorage(ATTRIBUTION_CONFIG.storageKey, {
+                    data: current,
+                    timestamp: Date.now()
+                });
+            }
+            return current;
+        }
+
+        const stored = utils ? utils.getLocalStorage(ATTRIBUTION_CONFIG.storageKey) : null;
+        if (stored && Date.now() - stored.timestamp < ATTRIBUTION_CONFIG.ttl) {
+            return stored.data;
+        }
+
+        return {};
+    }
+
+    /**
+     * Приводит атрибуцию к компактной строке вида "s=google&m=cpc"
+     * @param {Object} data - поля атрибуции
+     * @returns {string} - каноническая строка
+     */
+    function serialize(data) {
+        return Object.keys(FIELD_KEYS)
+            .filter(field => data[field])
+            .map(field => `${FIELD_KEYS[field]}=${encodeURIComponent(data[field])}`)
+            .join('&');
+    }
+
+    /**
+     * Кодирует атрибуцию в параметр ?start= (не длиннее 64 символов, [A-Za-z0-9_-])
+     * Сначала пробует компактный base64url, при переполнении — хэш канонической строки
+     * @param {Object} data - поля атрибуции
+     * @returns {string|null} - значение для ?start= или null, если атрибуции нет
+     */
+    function encode(data) {
+        if (!data) return null;
+
+        if (data.start) {
+            return data.start;
+        }
+
+        const serialized = serialize(data);
+        if (!serialized) return null;
+
+        const compact = ATTRIBUTION_CONFIG.prefixes.compact + toBase64Url(serialized);
+        if (compact.length <= ATTRIBUTION_CONFIG.maxPayloadLength) {
+            return compact;
+        }
+
+        return ATTRIBUTION_CONFIG.prefixes.hashed + hash(serialized);
+    }
+
+    /**
+     * Раскодирует параметр ?start=, созданный функцией encode
+     * @param {string} payload - значение ?start=
+     * @returns {Object|null} - поля атрибуции, { hash } для хэшированного формата или null
+     */
+    function decode(payload) {
+        if (!payload || !START_PAYLOAD_PATTERN.test(payload)) return null;
+
+        const prefix = payload.charAt(0);
+        const body = payload.slice(1);
+
+        if (prefix === ATTRIBUTION_CONFIG.prefixes.hashed) {
+            return { hash: body };
+        }
+
+        if (prefix !== ATTRIBUTION_CONFIG.prefixes.compact) return null;
+
+        try {
+            const fieldsByKey = {};
+            Object.keys(FIELD_KEYS).forEach(field => {
+                fieldsByKey[FIELD_KEYS[field]] = field;
+            });
+
+            const data = {};
+            new URLSearchParams(fromBase64Url(body)).forEach((value, key) => {
+                if (fieldsByKey[key]) {
+                    data[fieldsByKey[key]] = value;
+                }
+            });
+            return data;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Атрибуция фиксируется один раз при загрузке страницы
+    let attribution = {};
+    try {
+        attribution = capture();
+    } catch (error) {
+        console.warn('Failed to capture attribution:', error);
+    }
+
+    /**
+     * Возвращает payload для ?start= текущего посетителя
+     * @returns {string|null} - значение для ?start= или null
+     */
+    function getStartPayload() {
+        return encode(attribution);
+    }
+
+    /**
+     * Добавляет UTM-метки текущего посетителя к внешнему адресу
+     * Уже существующие параметры адреса не перезаписываются
+     * @param {string} url - исходный адрес
+     * @returns {string} - адрес с UTM-метками
+     */
+    function appendToUrl(url) {
+        const parsed = new URL(url);
+
+        Object.keys(FIELD_KEYS).forEach(field => {
+            if (field.indexOf('utm_') === 0 && attribution[field] && !parsed.searchParams.has(field)) {
+                parsed.searchParams.set(field, attribution[field]);
+            }
+        });
+
+        return parsed.href;
+    }
+
+    // Экспорт модуля атрибуции
+    window.KoridorAttribution = {
+        collect,
+        encode,
+        decode,
+        hash,
+        getStartPayload,
+        appendToUrl,
+        get: () => ({ ...attribution }),
+        ATTRIBUTION_CONFIG
+    };
+
+})();
@@ -0,0 +1,327 @@
+/**
+ * Реестр направлений ("коридоров") для проекта Коридор
+ * Описывает, куда ведёт переход "туннель": бот, канал, deep-link или произвольный URL
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const CORRIDOR_CONFIG = {
+        // Базовый адрес Telegram
+        telegramBase: 'https://t.me/',
+
+        // Направление по умолчанию
+        defaultCorridor: 'main',
+
+        // Префикс hash для выбора направления: #corridor=<имя>
+        hashKey: 'corridor',
+
+        // Схема ссылок на направления: web+koridor://<имя> (protocol_handlers манифеста)
+        protocol: 'web+koridor:',
+
+        // Ограничения Telegram на параметр ?start=
+        startPayload: {
+            maxLength: 64,
+            pattern: /^[A-Za-z0-9_-]+$/
+        }
+    };
+
+    // Допустимые имена пользователей/каналов Telegram
+    const TELEGRAM_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{3,31}$/;
+
+    // Элементы, которые запускают переход в своё направление
+    const TRIGGER_SELECTOR = '[data-corridor], [data-corridor-url], [data-corridor-username]';
+
+    // Хранилище зарегистрированных направлений
+    const registry = new Map();
+
+    /**
+     * Проверяет параметр ?start= на соответствие ограничениям Telegram
+     * @param {string} payload - значение параметра
+     * @returns {boolean} - true если значение допустимо
+     */
+    function isValidStartPayload(payload) {
+        return typeof payload === 'string' &&
+               payload.length > 0 &&
+               payload.length <= CORRIDOR_CONFIG.startPayload.maxLength &&
+               CORRIDOR_CONFIG.startPayload.pattern.test(payload);
+    }
+
+    /**
+     * Приводит описание направления к единому виду и проверяет его
+     * @param {Object} definition - описание направления
+     * @returns {Object} - нормализованное описание
+     */
+    function normalize(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new TypeError('Corridor definition must be an object');
+        }
+
+        const type = definition.type || 'bot';
+
+        switch (type) {
+            case 'bot':
+            case 'channel':
+                if (!TELEGRAM_NAME_PATTERN.test(definition.username || '')) {
+                    throw new Error(`Invalid Telegram username: ${definition.username}`);
+                }
+                if (definition.start !== undefined && !isValidStartPayload(definition.start)) {
+                    throw new Error(`Invalid start payload: ${definition.start}`);
+                }
+                return { ...definition, type };
+
+            case 'deeplink':
+                if (!TELEGRAM_NAME_PATTERN.test(definition.username || '')) {
+                    throw new Error(`Invalid Telegram username: ${definition.username}`);
+                }
+                if (!isValidStartPayload(definition.start)) {
+                    throw new Error(`Invalid start payload: ${definition.start}`);
+                }
+                return { ...definition, type };
+
+            case 'url': {
+                let parsed;
+                try {
+                    parsed = new URL(definition.url);
+                } catch (e) {
+                    throw new Error(`Invalid corridor URL: ${definition.url}`);
+                }
+                if (parsed.protocol !== 'https:') {
+                    throw new Error(`Corridor URL must use https: ${definition.url}`);
+                }
+                return { ...definition, type, url: parsed.href };
+            }
+
+            default:
+                throw new Error(`Unknown corridor type: ${type}`);
+        }
+    }
+
+    /**
+     * Регистрирует направление под заданным именем
+     * @param {string} name - имя направления
+     * @param {Object} definition - описание ({ type, username, start, url, attribution })
+     * @returns {Object} - нормализованное описание
+     */
+    function register(name, definition) {
+        if (!name || typeof name !== 'string') {
+            throw new TypeError('Corridor name must be a non-empty string');
+        }
+
+        const corridor = normalize(definition);
+        registry.set(name, corridor);
+        return corridor;
+    }
+
+    /**
+     * Удаляет направление из реестра
+     * @param {string} name - имя направления
+     * @returns {boolean} - true если направление было удалено
+     */
+    function unregister(name) {
+        if (name === CORRIDOR_CONFIG.defaultCorridor) {
+            console.warn('Default corridor cannot be removed');
+            return false;
+        }
+        return registry.delete(name);
+    }
+
+    /**
+     * Возвращает описание направления
+     * @param {string} name - имя направления
+     * @returns {Object|null} - описание или null
+     */
+    function get(name) {
+        return registry.get(name) || null;
+    }
+
+    /**
+     * Возвращает список имён зарегистрированных направлений
+     * @returns {Array<string>} - имена направлений
+     */
+    function list() {
+        return Array.from(registry.keys());
+    }
+
+    /**
+     * Строит итоговый адрес направления
+     * @param {Object} corridor - нормализованное описание направления
+     * @param {Object} options - дополнительные параметры ({ start })
+     * Если payload не задан, бот получает атрибуцию из KoridorAttribution;
+     * отключается полем attribution: false в описании направления
+     * @returns {string} - URL для открытия
+     */
+    function buildUrl(corridor, options = {}) {
+        const attribution = corridor.attribution !== false ? window.KoridorAttribution : null;
+
+        if (corridor.type === 'url') {
+            return attribution ? attribution.appendToUrl(corridor.url) : corridor.url;
+        }
+
+        const url = new URL(corridor.username, CORRIDOR_CONFIG.telegramBase);
+
+        // Параметр start имеет смысл только для ботов
+        if (corridor.type !== 'channel') {
+            let start = options.start !== undefined ? options.start : corridor.start;
+
+            // Без явного payload бот получает атрибуцию посетителя
+            if (start === undefined && attribution) {
+                start = attribution.getStartPayload() || undefined;
+            }
+
+            if (start !== undefined && isValidStartPayload(start)) {
+                url.searchParams.set('start', start);
+            }
+        }
+
+        return url.href;
+    }
+
+    /**
+     * Читает имя направления из hash адреса (#corridor=<имя>)
+     * @param {string} hash - значение location.hash
+     * @returns {string|null} - имя направления или null
+     */
+    function getNameFromHash(hash = window.location.hash) {
+        if (!hash || hash.length < 2) return null;
+
+        const params = new URLSearchParams(hash.slice(1));
+        return params.get(CORRIDOR_CONFIG.hashKey);
+    }
+
+    /**
+     * Читает имя направления из ссылки web+koridor://<имя>
+     * Принимаются также формы web+koridor:<имя> и web+koridor:///<имя>
+     * @param {string} value - ссылка (как её передал обработчик протокола)
+     * @returns {string|null} - имя направления или null
+     */
+    function getNameFromProtocolUrl(value) {
+        if (typeof value !== 'string') return null;
+
+        const link = value.trim();
+        if (link.slice(0, CORRIDOR_CONFIG.protocol.length).toLowerCase() !== CORRIDOR_CONFIG.protocol) {
+            return null;
+        }
+
+        const name = link.slice(CORRIDOR_CONFIG.protocol.length)
+            .replace(/^\/+/, '')
+            .split(/[/?#]/)[0];
+
+        try {
+            return decodeURIComponent(name) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Собирает описание направления из data-атрибутов элемента
+     * Поддерживаются: data-corridor, data-corridor-type, data-corridor-username,
+     * data-corridor-start и data-corridor-url
+     * @param {Element} element - элемент-триггер
+     * @returns {Object|null} - описание направления или null
+     */
+    function fromDataset(element) {
+        if (!element || !element.dataset) return null;
+
+        const data = element.dataset;
+
+        if (data.corridorUrl) {
+            return normalize({ type: 'url', url: data.corridorUrl });
+        }
+
+        if (data.corridorUsername) {
+            return normalize({
+                type: data.corridorType || (data.corridorStart ? 'deeplink' : 'bot'),
+                username: data.corridorUsername,
+                start: data.corridorStart
+            });
+        }
+
+        if (data.corridor) {
+            const corridor = get(data.corridor);
+            if (!corridor) {
+                console.warn('Unknown corridor:', data.corridor);
+                return null;
+            }
+            // Разрешаем переопределить payload на конкретной кнопке
+            return data.corridorStart ? { ...corridor, start: data.corridorStart } : corridor;
+        }
+
+        return null;
+    }
+
+    /**
+     * Определяет направление для элемента-триггера
+     * Порядок: data-атрибуты элемента, hash адреса, направление по умолчанию
+     * @param {Element} [element] - элемент, запустивший переход
+     * @returns {{name: string|null, corridor: Object, url: string}} - выбранное направление
+     */
+    function resolve(element) {
+        let corridor = null;
+        let name = null;
+
+        try {
+            corridor = fromDataset(element);
+            if (corridor && element.dataset.corridor) {
+                name = element.dataset.corridor;
+            }
+        } catch (error) {
+            console.error('Invalid corridor attributes:', error);
+        }
+
+        if (!corridor) {
+            const hashName = getNameFromHash();
+            if (hashName && registry.has(hashName)) {
+                name = hashName;
+                corridor = registry.get(hashName);
+            }
+        }
+
+        if (!corridor) {
+            name = CORRIDOR_CONFIG.defaultCorridor;
+            corridor = registry.get(name);
+        }
+
+        return {
+            name,
+            corridor,
+            url: buildUrl(corridor)
+        };
+    }
+
+    /**
+     * Открывает адрес направления в новой вкладке
+     * @param {string} url - адрес для открытия
+     */
+    function open(url) {
+        try {
+            window.open(url, '_blank', 'noopener,noreferrer');
+        } catch (error) {
+            console.error('Failed to open link:', error);
+            // Запасной вариант
+            window.location.href = url;
+        }
+    }
+
+    // Направление по умолчанию — основной бот проекта
+    register(CORRIDOR_CONFIG.defaultCorridor, { type: 'bot', username: 'mavrtunbot' });
+
+    // Экспорт реестра направлений
+    window.KoridorCorridors = {
+        register,
+        unregister,
+        get,
+        list,
+        buildUrl,
+        resolve,
+        open,
+        getNameFromHash,
+        getNameFromProtocolUrl,
+        isValidStartPayload,
+        TRIGGER_SELECTOR,
+        CORRIDOR_CONFIG
+    };
+
+})();
@@ -0,0 +1,365 @@
+/**
+ * Точки входа из операционной системы для проекта Коридор
+ * Обрабатывает ссылки web+koridor:// (protocol_handlers), данные из меню «Поделиться»
+ * (share_target) и изображения, открытые через приложение (file_handlers)
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const LAUNCH_CONFIG = {
+        // Параметр, в котором обработчик протокола передаёт ссылку (?link=%s в манифесте)
+        protocolParam: 'link',
+
+        // Параметр, которым воркер передаёт id сохранённых данных share_target
+        shareParam: 'share',
+
+        // Палитра частиц из открытого изображения хранится между визитами
+        paletteKey: 'koridor:particle-palette',
+        paletteSize: 4,
+
+        // Размер уменьшенной копии изображения для подсчёта цветов
+        sampleSize: 64,
+
+        // Цвета ближе этого расстояния (в RGB) считаются одним цветом палитры
+        minColorDistance: 48,
+
+        // Ссылки, которыми можно поделиться как направлением
+        telegramHosts: ['t.me', 'telegram.me'],
+        sharedCorridor: 'shared',
+
+        // Адрес направления shared хранится, чтобы #corridor=shared пережил перезагрузку
+        sharedUrlKey: 'koridor:shared-url',
+
+        // Элементы, в которых показывается итог обработки
+        statusSelector: '[data-launch-status]'
+    };
+
+    // Тексты состояния для страницы share.html
+    const STATUS_TEXT = {
+        corridor: name => `Коридор «${name}» готов — нажмите на стрелку, чтобы войти.`,
+        telegram: 'Ссылка на Telegram станет направлением коридора — нажмите на стрелку.',
+        palette: 'Изображение раскрасит частицы коридора.',
+        empty: 'Ничего подходящего не нашлось — стрелка ведёт в основной коридор.',
+        error: 'Не удалось получить то, чем вы поделились. Попробуйте ещё раз.'
+    };
+
+    /**
+     * Показывает итог обработки на странице
+     * @param {string} text - текст состояния
+     */
+    function updateStatus(text) {
+        document.querySelectorAll(LAUNCH_CONFIG.statusSelector).forEach(element => {
+            element.textContent = text;
+        });
+    }
+
+    /**
+     * Убирает служебный параметр из адреса и при необходимости выбирает направление
+     * @param {string} param - имя параметра
+     * @param {string|null} [corridorName] - направление для hash #corridor=<имя>
+     */
+    function replaceLocation(param, corridorName = null) {
+        const url = new URL(window.location.href);
+        url.searchParams.delete(param);
+
+        if (corridorName && window.KoridorCorridors) {
+            const hashKey = window.KoridorCorridors.CORRIDOR_CONFIG.hashKey;
+            url.hash = `${hashKey}=${encodeURIComponent(corridorName)}`;
+        }
+
+        window.history.replaceState(window.history.state, '', url.href);
+    }
+
+    /**
+     * Проверяет, что направление зарегистрировано
+     * @param {string|null} name - имя направления
+     * @returns {boolean} - true если направление известно
+     */
+    function isKnownCorridor(name) {
+        return Boolean(name && window.KoridorCorridors && window.KoridorCorridors.get(name));
+    }
+
+    /**
+     * Обрабатывает запуск по ссылке web+koridor://<имя>
+     * @returns {string|null} - выбранное направление или null
+     */
+    function handleProtocolLaunch() {
+        const link = new URLSearchParams(window.location.search).get(LAUNCH_CONFIG.protocolParam);
+        if (link === null || !window.KoridorCorridors) return null;
+
+        const name = window.KoridorCorridors.getNameFromProtocolUrl(link);
+        const known = isKnownCorridor(name);
+
+        if (!known) {
+            console.warn('Unknown corridor link:', link);
+        }
+
+        replaceLocation(LAUNCH_CONFIG.protocolParam, known ? name : null);
+        return known ? name : null;
+    }
+
+    /**
+     * Переводит цвет RGB в hex
+     * @param {Array<number>} rgb - [r, g, b]
+     * @returns {string} - цвет #rrggbb
+     */
+    function toHex(rgb) {
+        return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Выбирает самые частые различимые цвета изображения
+     * Пиксели группируются по 4 старшим битам каждого канала
+     * @param {Uint8ClampedArray} data - пиксели RGBA
+     * @param {number} count - размер палитры
+     * @returns {Array<string>} - цвета в hex
+     */
+    function quantize(data, count) {
+        const buckets = new Map();
+
+        for (let i = 0; i < data.length; i += 4) {
+            // Прозрачные пиксели (фон PNG/SVG) не участвуют
+            if (data[i + 3] < 128) continue;
+
+            const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+            const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+            bucket.r += data[i];
+            bucket.g += data[i + 1];
+            bucket.b += data[i + 2];
+            bucket.count++;
+            buckets.set(key, bucket);
+        }
+
+        const candidates = Array.from(buckets.values())
+            .sort((a, b) => b.count - a.count)
+            .map(bucket => [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count]);
+
+        const palette = [];
+        for (const color of candidates) {
+            const distinct = palette.every(picked => Math.hypot(
+                picked[0] - color[0],
+                picked[1] - color[1],
+                picked[2] - color[2]
+            ) >= LAUNCH_CONFIG.minColorDistance);
+
+            if (distinct) palette.push(color);
+            if (palette.length === count) break;
+        }
+
+        return palette.map(toHex);
+    }
+
+    /**
+     * Считает палитру изображения
+     * @param {Blob} blob - изображение
+     * @param {number} [count] - размер палитры
+     * @returns {Promise<Array<string>>} - цвета в hex
+     */
+    function extractPalette(blob, count = LAUNCH_CONFIG.paletteSize) {
+        const objectUrl = URL.createObjectURL(blob);
+        const image = new Image();
+        image.src = objectUrl;
+
+        return image.decode().then(() => {
+            const size = LAUNCH_CONFIG.sampleSize;
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(image, 0, 0, size, size);
+            return quantize(ctx.getImageData(0, 0, size, size).data, count);
+        }).finally(() => {
+            URL.revokeObjectURL(objectUrl);
+        });
+    }
+
+    /**
+     * Возвращает сохранённую палитру частиц
+     * @returns {Array<string>|null} - цвета или null
+     */
+    function getPalette() {
+        const utils = window.KoridorUtils;
+        const palette = utils ? utils.getLocalStorage(LAUNCH_CONFIG.paletteKey) : null;
+        return Array.isArray(palette) && palette.length > 0 ? palette : null;
+    }
+
+    /**
+     * Делает изображение источником палитры частиц: сохраняет её и применяет к системе на странице
+     * @param {Blob} blob - изображение
+     * @returns {Promise<Array<string>|null>} - палитра или null, если цвета не нашлись
+     */
+    function setPaletteFromImage(blob) {
+        return extractPalette(blob).then(palette => {
+            if (palette.length === 0) return null;
+
+            if (window.KoridorUtils) {
+                window.KoridorUtils.setLocalStorage(LAUNCH_CONFIG.paletteKey, palette);
+            }
+            if (window.particleSystem) {
+                window.particleSystem.setPalette(palette);
+            }
+            return palette;
+        });
+    }
+
+    /**
+     * Удаляет сохранённую палитру (частицы вернутся к цветам по умолчанию при следующей загрузке)
+     */
+    function clearPalette() {
+        if (window.KoridorUtils) {
+            window.KoridorUtils.removeLocalStorage(LAUNCH_CONFIG.paletteKey);
+        }
+    }
+
+    /**
+     * Принимает изображения, открытые через приложение (file_handlers)
+     */
+    function handleFileLaunch() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(launchParams => {
+            const handle = launchParams.files && launchParams.files[0];
+            if (!handle) return;
+
+            handle.getFile()
+                .then(setPaletteFromImage)
+                .catch(error => console.error('Failed to read launched image:', error));
+        });
+    }
+
+    /**
+     * Ищет в данных share_target ссылку на Telegram
+     * @param {Object} share - { title, text, url }
+     * @returns {string|null} - https-адрес или null
+     */
+    function findTelegramUrl(share) {
+        const candidates = [share.url, ...(`${share.text} ${share.title}`.match(/https?:\/\/\S+/g) || [])];
+
+        for (const candidate of candidates) {
+            try {
+                const url = new URL(candidate);
+                if (LAUNCH_CONFIG.telegramHosts.includes(url.hostname)) {
+                    url.protocol = 'https:';
+                    return url.href;
+                }
+            } catch (e) {
+                // Не адрес — пропускаем
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Регистрирует направление shared с адресом из «Поделиться» и запоминает адрес
+     * @param {string} url - https-адрес Telegram
+     */
+    function registerSharedCorridor(url) {
+        window.KoridorCorridors.register(LAUNCH_CONFIG.sharedCorridor, { type: 'url', url });
+
+        if (window.KoridorUtils) {
+            window.KoridorUtils.setLocalStorage(LAUNCH_CONFIG.sharedUrlKey, url);
+        }
+    }
+
+    /**
+     * Восстанавливает направление shared после перезагрузки или возврата по истории
+     */
+    function restoreSharedCorridor() {
+        const utils = window.KoridorUtils;
+        if (!utils || !window.KoridorCorridors) return;
+
+        const url = utils.getLocalStorage(LAUNCH_CONFIG.sharedUrlKey);
+        if (typeof url !== 'string') return;
+
+        try {
+            if (LAUNCH_CONFIG.telegramHosts.includes(new URL(url).hostname)) {
+                window.KoridorCorridors.register(LAUNCH_CONFIG.sharedCorridor, { type: 'url', url });
+                return;
+            }
+        } catch (e) {
+            // Повреждённое значение — удаляем ниже
+        }
+
+        utils.removeLocalStorage(LAUNCH_CONFIG.sharedUrlKey);
+    }
+
+    /**
+     * Превращает данные share_target в направление коридора
+     * Порядок: ссылка web+koridor://, ссылка на Telegram, направление по умолчанию
+     * @param {Object} share - { title, text, url, files }
+     * @returns {string} - текст состояния
+     */
+    function applyShare(share) {
+        const corridors = window.KoridorCorridors;
+        const links = `${share.url} ${share.text} ${share.title}`.match(/web\+koridor:\S+/gi) || [];
+        const name = links.map(link => corridors.getNameFromProtocolUrl(link)).find(isKnownCorridor);
+
+        if (name) {
+            replaceLocation(LAUNCH_CONFIG.shareParam, name);
+            return STATUS_TEXT.corridor(name);
+        }
+
+        const telegramUrl = findTelegramUrl(share);
+        if (telegramUrl) {
+            registerSharedCorridor(telegramUrl);
+            replaceLocation(LAUNCH_CONFIG.shareParam, LAUNCH_CONFIG.sharedCorridor);
+            return STATUS_TEXT.telegram;
+        }
+
+        replaceLocation(LAUNCH_CONFIG.shareParam);
+        return share.files.length ? STATUS_TEXT.palette : STATUS_TEXT.empty;
+    }
+
+    /**
+     * Забирает у воркера данные share_target и применяет их
+     * @returns {Promise<void>}
+     */
+    function handleShareLaunch() {
+        const id = new URLSearchParams(window.location.search).get(LAUNCH_CONFIG.shareParam);
+        if (id === null) return Promise.resolve();
+
+        if (id === 'error' || !window.KoridorSW || !window.KoridorCorridors) {
+            replaceLocation(LAUNCH_CONFIG.shareParam);
+            updateStatus(STATUS_TEXT.error);
+            return Promise.resolve();
+        }
+
+        return window.KoridorSW.request('SHARE_TAKE', { id }).then(share => {
+            if (!share) throw new Error(`Shared data not found: ${id}`);
+
+            updateStatus(applyShare(share));
+
+            if (share.files.length) {
+                return setPaletteFromImage(share.files[0]).then(() => {});
+            }
+        }).catch(error => {
+            console.error('Failed to handle shared data:', error);
+            replaceLocation(LAUNCH_CONFIG.shareParam);
+            updateStatus(STATUS_TEXT.error);
+        });
+    }
+
+    restoreSharedCorridor();
+    handleProtocolLaunch();
+    handleFileLaunch();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', handleShareLaunch);
+    } else {
+        handleShareLaunch();
+    }
+
+    // Экспорт точек входа
+    window.KoridorLaunch = {
+        getPalette,
+        clearPalette,
+        extractPalette,
+        setPaletteFromImage,
+        LAUNCH_CONFIG
+    };
+
+})();
@@ -1,65 +1,249 @@
 /**
  * Основной JavaScript модуль для проекта Коридор
- * Управляет интерактивностью, анимациями и взаимодействием с пользователем
+ * Управляет интерактивностью, анимациями и взаимодействием с пользователем.
+ * Каждая HTML-страница запускает его через KoridorMain.init(options) со своим набором возможностей
  */
 
 (function() {
     'use strict';
 
-    // --- Конфигурация ---
-    const botName = 'mavrtunbot';
-    const fullLink = `https://t.me/${botName}`;
+    // --- Конфигурация по умолчанию ---
+    const DEFAULT_OPTIONS = {
+        // Бот, в который ведёт переход, если реестр направлений недоступен
+        botName: 'mavrtunbot',
 
-    // --- Селекторы элементов ---
-    const mainButton = document.getElementById('mainButton');
-    const follower = document.getElementById('cursor-follower');
-    const pupil = document.getElementById('left-pupil');
-    const eyes = document.getElementById('eyes');
-    const transitionOverlay = document.getElementById('transition-overlay');
-    const rings = transitionOverlay.querySelectorAll('.ring');
-    const container = document.querySelector('.container');
+        // Какие части приложения включены на странице
+        features: {
+            mascot: true,
+            particles: true,
+            tunnel: true,
+            quality: true,
+            // Регистрация Service Worker и предложение обновиться (нужен sw-register.js)
+            serviceWorker: true
+        },
+
+        // Профиль для prefers-reduced-motion
+        reducedMotion: {
+            // 'auto' — по настройке системы, true/false — принудительно
+            mode: 'auto',
+            mascot: false,
+            particles: true,
+            // 'full' — полный туннель, 'fade' — только затухание страницы
+            tunnel: 'full',
+            // Длительность анимаций, адаптированных через adaptForReducedMotion (с)
+            duration: 0.01
+        },
+
+        // Параметры для ParticleSystem.init (например, { worker: true })
+        particles: {},
+
+        // Селекторы элементов страницы
+        selectors: {
+            mainButton: '#mainButton',
+            follower: '#cursor-follower',
+            pupil: '#left-pupil',
+            eyes: '#eyes',
+            transitionOverlay: '#transition-overlay',
+            rings: '.ring',
+            container: '.container'
+        }
+    };
+
+    // Событие window, которое сообщает, что переход завершён и страница вернулась в исходный вид
+    const TRANSITION_COMPLETE_EVENT = 'koridor:transition-complete';
+
+    // --- Элементы страницы ---
+    let mainButton, follower, pupil, eyes, transitionOverlay, rings, container;
 
     // --- Состояние приложения ---
+    let options = null;
+    let features = null;
     let isFollowerVisible = false;
     let isTransitioning = false;
+    let followerInterval = 0;
+    let pendingLink = null;
+    let pendingTarget = '_blank';
+    let runTransition = null;
+    let activeTrigger = null;
+    let followerControls = null;
+
+    /**
+     * Объединяет параметры страницы с параметрами по умолчанию (на два уровня вглубь)
+     * @param {Object} overrides - параметры страницы
+     * @returns {Object} - итоговые параметры
+     */
+    function mergeOptions(overrides = {}) {
+        const merged = { ...DEFAULT_OPTIONS, ...overrides };
+        
+        ['features', 'reducedMotion', 'particles', 'selectors'].forEach(key => {
+            merged[key] = { ...DEFAULT_OPTIONS[key], ...(overrides[key] || {}) };
+        });
+        
+        return merged;
+    }
 
-    // --- Инициализация приложения ---
-    function init() {
+    /**
+     * Проверяет, нужно ли уменьшать движение
+     * В режиме 'auto' учитывается и выбор пользователя из политики движения KoridorAnimations
+     * @returns {boolean} - true если действует профиль уменьшенного движения
+     */
+    function isReducedMotion() {
+        const mode = options ? options.reducedMotion.mode : DEFAULT_OPTIONS.reducedMotion.mode;
+        if (mode !== 'auto') return Boolean(mode);
+        
+        if (window.KoridorAnimations) return window.KoridorAnimations.isReducedMotion();
+        
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Определяет итоговый набор возможностей с учётом профиля движения
+     * @returns {Object} - включённые возможности
+     */
+    function resolveFeatures() {
+        const resolved = { ...options.features };
+        
+        if (isReducedMotion()) {
+            resolved.mascot = resolved.mascot && options.reducedMotion.mascot;
+            resolved.particles = resolved.particles && options.reducedMotion.particles;
+        }
+        
+        return resolved;
+    }
+
+    /**
+     * Находит элементы страницы и отключает возможности, для которых их нет
+     * @returns {boolean} - true если на странице есть хотя бы главная кнопка
+     */
+    function initElements() {
+        const selectors = options.selectors;
+        
+        mainButton = document.querySelector(selectors.mainButton);
+        follower = document.querySelector(selectors.follower);
+        pupil = document.querySelector(selectors.pupil);
+        eyes = document.querySelector(selectors.eyes);
+        transitionOverlay = document.querySelector(selectors.transitionOverlay);
+        container = document.querySelector(selectors.container);
+        rings = transitionOverlay ? transitionOverlay.querySelectorAll(selectors.rings) : [];
+        
+        if (!mainButton) {
+            console.error('Essential elements for animation are missing.');
+            return false;
+        }
+        
+        if (features.mascot && (!follower || !pupil || !eyes)) {
+            console.warn('Mascot elements are missing, mascot disabled');
+            features.mascot = false;
+        }
+        
+        if (features.tunnel && (!transitionOverlay || !rings.length || !container)) {
+            console.warn('Tunnel elements are missing, tunnel disabled');
+            features.tunnel = false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Инициализирует приложение на странице
+     * @param {Object} [pageOptions] - параметры страницы (см. DEFAULT_OPTIONS)
+     * @returns {boolean} - true если инициализация прошла успешно
+     */
+    function init(pageOptions = {}) {
+        if (options) {
+            console.warn('KoridorMain is already initialized');
+            return false;
+        }
+        
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => init(pageOptions));
+            return true;
+        }
+        
         try {
+            options = mergeOptions(pageOptions);
+            features = resolveFeatures();
+            pendingLink = getFallbackLink();
+            
+            if (!initElements()) {
+                console.error('Failed to initialize DOM elements');
+                return false;
+            }
+            
             if (!checkBrowserSupport()) {
                 console.error('Browser does not support required features');
-                return;
+                return false;
             }
             
             setupErrorHandling();
             preloadResources();
-            setupCursorFollower();
-            setupMainButtonInteraction();
+            
+            if (features.mascot) {
+                setupCursorFollower();
+                setupKeyboardFollower();
+                setupMainButtonInteraction();
+                
+                // Устанавливаем начальное состояние для маскота
+                gsap.set(follower, { opacity: 0, scale: 1 });
+            }
+            
+            // Кнопки-направления работают всегда: без туннеля ссылка открывается сразу
             setupTransition();
-            setupParticles();
+
+            if (features.particles) {
+                setupParticles();
+            }
             
-            // Устанавливаем начальное состояние для маскота
-            gsap.set(follower, { opacity: 0, scale: 1 });
+            if (features.serviceWorker && window.KoridorSW) {
+                window.KoridorSW.register();
+            }
             
             console.log('Application initialized successfully');
+            return true;
         } catch (error) {
             console.error('Failed to initialize application:', error);
+            return false;
         }
     }
 
+    /**
+     * Возвращает адрес бота по умолчанию
+     * @returns {string} - адрес Telegram
+     */
+    function getFallbackLink() {
+        return `https://t.me/${options.botName}`;
+    }
+
+    /**
+     * Адаптирует параметры анимации для пользователей с чувствительностью к движению
+     * @param {Object} tweenOptions - параметры анимации
+     * @returns {Object} - адаптированные параметры
+     */
+    function adaptForReducedMotion(tweenOptions = {}) {
+        if (!isReducedMotion()) return tweenOptions;
+        
+        const duration = options ? options.reducedMotion.duration : DEFAULT_OPTIONS.reducedMotion.duration;
+        return {
+            ...tweenOptions,
+            duration,
+            ease: 'none'
+        };
+    }
+
     /**
      * Проверяет поддержку браузером необходимых функций
      * @returns {boolean} - поддерживает ли браузер все необходимые функции
      */
     function checkBrowserSupport() {
-        const features = {
-            gsap: typeof gsap !== 'undefined',
+        const needsGsap = features.mascot || features.tunnel;
+        const required = {
+            gsap: !needsGsap || typeof gsap !== 'undefined',
             matchMedia: typeof window.matchMedia !== 'undefined',
             addEventListener: typeof window.addEventListener !== 'undefined',
             requestAnimationFrame: typeof window.requestAnimationFrame !== 'undefined'
         };
         
-        const unsupported = Object.keys(features).filter(key => !features[key]);
+        const unsupported = Object.keys(required).filter(key => !required[key]);
         if (unsupported.length > 0) {
             console.warn('Browser does not support the following features:', unsupported);
         }
@@ -101,26 +285,57 @@
 
     /**
      * Настраивает интерактивный маскот-курсор
+     * Работает через Pointer Events: мышь, касание и перо. На сенсорных экранах маскот
+     * следует за пальцем во время касания, а без указателя бродит рядом с последней точкой
      */
     function setupCursorFollower() {
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+        const isTouchOnly = window.KoridorUtils ? window.KoridorUtils.isTouchOnlyDevice() : false;
 
-        document.body.style.cursor = 'none';
+        // Родной курсор скрываем только там, где он вообще есть
+        if (!isTouchOnly) {
+            document.body.style.cursor = 'none';
+        }
 
         const xTo = gsap.quickTo(follower, "x", { duration: 0.5, ease: "power3" });
         const yTo = gsap.quickTo(follower, "y", { duration: 0.5, ease: "power3" });
         
-        let lastX = 0, lastY = 0;
+        let lastX = window.innerWidth / 2, lastY = window.innerHeight / 2;
+        let lastTweenTime = 0;
+        let activePointerId = null;
+        let wanderTimer = null;
 
-        const onMouseMove = (e) => {
-            if (isTransitioning) return;
-            
-            const { clientX, clientY } = e;
-            
+        const showFollower = () => {
             if (!isFollowerVisible) {
                 isFollowerVisible = true;
                 gsap.to(follower, { opacity: 1, duration: 0.3 });
             }
+        };
+
+        const trackPupil = (x, y) => {
+            const rect = eyes.getBoundingClientRect();
+            if (rect.width > 0) {
+                const eyeX = rect.left + rect.width / 2;
+                const eyeY = rect.top + rect.height / 2;
+                const angle = Math.atan2(y - eyeY, x - eyeX);
+                const pupilDist = 4;
+
+                gsap.to(pupil, {
+                    x: Math.cos(angle) * pupilDist,
+                    y: Math.sin(angle) * pupilDist,
+                    duration: 0.3,
+                    ease: "power2.out"
+                });
+            }
+        };
+
+        /**
+         * Перемещает маскота к точке; давление пера сплющивает его
+         * @param {number} clientX - координата X
+         * @param {number} clientY - координата Y
+         * @param {number|null} pressure - давление пера (0-1) или null
+         */
+        const moveTo = (clientX, clientY, pressure) => {
+            showFollower();
 
             const dx = clientX - lastX;
             const dy = clientY - lastY;
@@ -131,30 +346,97 @@
             xTo(clientX);
             yTo(clientY);
 
+            // На слабых устройствах твины деформации и зрачка запускаются реже
+            const now = performance.now();
+            if (now - lastTweenTime < followerInterval) return;
+            lastTweenTime = now;
+
             const scaleFactor = gsap.utils.clamp(0, 1, speed / 100);
+            const squash = pressure ? gsap.utils.clamp(0, 1, pressure) * 0.35 : 0;
             gsap.to(follower, {
-                scaleX: 1 + scaleFactor * 1.5,
-                scaleY: 1 - scaleFactor * 0.5,
+                scaleX: 1 + scaleFactor * 1.5 + squash,
+                scaleY: 1 - scaleFactor * 0.5 - squash,
                 duration: 0.8,
                 ease: "power3.out"
             });
             
-            const rect = eyes.getBoundingClientRect();
-            if (rect.width > 0) {
-                const eyeX = rect.left + rect.width / 2;
-                const eyeY = rect.top + rect.height / 2;
-                const angle = Math.atan2(clientY - eyeY, clientX - eyeX);
-                const pupilDist = 4;
+            trackPupil(clientX, clientY);
+        };
 
-                gsap.to(pupil, {
-                    x: Math.cos(angle) * pupilDist,
-                    y: Math.sin(angle) * pupilDist,
-                    duration: 0.3,
-                    ease: "power2.out"
-                });
+        /**
+         * Плавно переводит маскота в точку без деформации (для клавиатуры)
+         * @param {number} x - координата X
+         * @param {number} y - координата Y
+         */
+        const glideTo = (x, y) => {
+            stopWander();
+            showFollower();
+            lastX = x;
+            lastY = y;
+            xTo(x);
+            yTo(y);
+            gsap.to(follower, { scaleX: 1, scaleY: 1, duration: 0.4, ease: "power2.out" });
+        };
+
+        // --- Блуждание без указателя ---
+        const wander = () => {
+            if (isTransitioning || activePointerId !== null) return;
+
+            const margin = 40;
+            const targetX = gsap.utils.clamp(margin, window.innerWidth - margin, lastX + gsap.utils.random(-60, 60));
+            const targetY = gsap.utils.clamp(margin, window.innerHeight - margin, lastY + gsap.utils.random(-60, 60));
+
+            showFollower();
+            xTo(targetX);
+            yTo(targetY);
+            trackPupil(targetX + (targetX - lastX) * 2, targetY + (targetY - lastY) * 2);
+            lastX = targetX;
+            lastY = targetY;
+
+            wanderTimer = setTimeout(wander, gsap.utils.random(1500, 3000));
+        };
+
+        const scheduleWander = () => {
+            clearTimeout(wanderTimer);
+            wanderTimer = setTimeout(wander, 3000);
+        };
+
+        const stopWander = () => {
+            clearTimeout(wanderTimer);
+            wanderTimer = null;
+        };
+
+        // --- Обработчики указателя ---
+        const onPointerMove = (e) => {
+            if (isTransitioning) return;
+            
+            // Касание ведёт маскота только пока палец прижат
+            if (e.pointerType === 'touch' && e.pointerId !== activePointerId) return;
+
+            stopWander();
+            moveTo(e.clientX, e.clientY, e.pointerType === 'pen' ? e.pressure : null);
+
+            if (e.pointerType !== 'mouse') {
+                scheduleWander();
             }
         };
 
+        const onPointerDown = (e) => {
+            if (isTransitioning || e.pointerType === 'mouse') return;
+            
+            activePointerId = e.pointerId;
+            stopWander();
+            moveTo(e.clientX, e.clientY, e.pointerType === 'pen' ? e.pressure : null);
+        };
+
+        const onPointerUp = (e) => {
+            if (e.pointerId !== activePointerId) return;
+            
+            activePointerId = null;
+            gsap.to(follower, { scaleX: 1, scaleY: 1, duration: 0.4, ease: "power2.out" });
+            scheduleWander();
+        };
+
         const onMouseLeave = () => {
             if (isTransitioning) return;
             isFollowerVisible = false;
@@ -163,15 +445,69 @@
         
         const onMouseEnter = () => {
             if (isTransitioning) return;
-            if (!isFollowerVisible) {
-                isFollowerVisible = true;
-                gsap.to(follower, { opacity: 1, duration: 0.3 });
-            }
+            showFollower();
         };
 
-        window.addEventListener('mousemove', onMouseMove);
+        window.addEventListener('pointermove', onPointerMove);
+        window.addEventListener('pointerdown', onPointerDown);
+        window.addEventListener('pointerup', onPointerUp);
+        window.addEventListener('pointercancel', onPointerUp);
         document.body.addEventListener('mouseleave', onMouseLeave);
         document.body.addEventListener('mouseenter', onMouseEnter);
+
+        // На телефоне указателя может не быть вовсе — маскот появляется и бродит сам
+        if (isTouchOnly) {
+            gsap.set(follower, { x: lastX, y: lastY });
+            scheduleWander();
+        }
+
+        followerControls = { glideTo, lookAt: trackPupil };
+    }
+
+    /**
+     * Проверяет, получил ли элемент фокус с клавиатуры
+     * @param {Element} element - элемент в фокусе
+     * @returns {boolean} - true если фокус видимый (Tab, а не клик)
+     */
+    function isKeyboardFocus(element) {
+        try {
+            return element.matches(':focus-visible');
+        } catch (e) {
+            // Старые браузеры без :focus-visible
+            return true;
+        }
+    }
+
+    /**
+     * Ведёт маскота и зрачок за элементом в фокусе при навигации с клавиатуры
+     */
+    function setupKeyboardFollower() {
+        if (!followerControls) return;
+        
+        document.addEventListener('focusin', (e) => {
+            const target = e.target;
+            if (isTransitioning || !(target instanceof Element) || !isKeyboardFocus(target)) return;
+            
+            const rect = target.getBoundingClientRect();
+            if (rect.width === 0 && rect.height === 0) return;
+            
+            const centerX = rect.left + rect.width / 2;
+            const centerY = rect.top + rect.height / 2;
+            
+            if (target === mainButton) {
+                // На главную кнопку маскот садится сверху, как при наведении мыши
+                followerControls.glideTo(centerX, Math.max(rect.top, 40));
+            } else {
+                // Остальные элементы маскот разглядывает слева
+                const margin = 40;
+                followerControls.glideTo(
+                    gsap.utils.clamp(margin, window.innerWidth - margin, rect.left - margin),
+                    gsap.utils.clamp(margin, window.innerHeight - margin, centerY)
+                );
+            }
+            
+            followerControls.lookAt(centerX, centerY);
+        });
     }
 
     /**
@@ -227,80 +563,238 @@
             return;
         }
         
-        // Инициализируем систему частиц
-        window.particleSystem = window.ParticleSystem.init();
-        
-        // Интегрируем с маскотом-курсором
-        if (window.particleSystem && follower) {
-            setupCursorParticleInteraction();
+        try {
+            // Палитра из изображения, открытого через приложение, заменяет цвета по умолчанию
+            const palette = window.KoridorLaunch ? window.KoridorLaunch.getPalette() : null;
+
+            // Инициализируем систему частиц
+            window.particleSystem = window.ParticleSystem.init({ palette, ...options.particles });
+            
+            // Интегрируем с маскотом-курсором
+            if (window.particleSystem && features.mascot) {
+                setupCursorParticleInteraction();
+            }
+            
+            if (features.quality) {
+                setupQualityGovernor();
+            }
+        } catch (error) {
+            console.error('Failed to initialize particle system:', error);
         }
     }
 
+    /**
+     * Связывает регулятор качества с частицами и маскотом
+     */
+    function setupQualityGovernor() {
+        if (!window.KoridorQuality) return;
+        
+        const applyTier = (tier) => {
+            followerInterval = tier.followerInterval;
+            if (window.particleSystem) {
+                window.particleSystem.setQuality(tier);
+            }
+        };
+        
+        applyTier(window.KoridorQuality.getTier());
+        window.KoridorQuality.onChange(applyTier);
+        window.KoridorQuality.start();
+    }
+
     /**
      * Настраивает взаимодействие с главной кнопкой
      */
     function setupMainButtonInteraction() {
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
-        
         const hoverTween = gsap.to(follower, { scale: 1.3, duration: 0.3, paused: true, ease: "power2.out" });
         
         mainButton.addEventListener('mouseenter', () => {
             if (isTransitioning) return;
             hoverTween.play();
             gsap.to(eyes, { y: -8, duration: 0.3, ease: 'power2.out' });
+            
+            // Добавляем свечение вокруг частиц при наведении
+            if (window.particleSystem) {
+                follower.classList.add('particle-glow');
+            }
         });
 
         mainButton.addEventListener('mouseleave', () => {
             if (isTransitioning) return;
             hoverTween.reverse();
             gsap.to(eyes, { y: 0, duration: 0.3, ease: 'power2.inOut' });
+            follower.classList.remove('particle-glow');
+        });
+
+        // Фокус с клавиатуры ведёт себя как наведение мыши
+        mainButton.addEventListener('focus', () => {
+            if (isTransitioning || !isKeyboardFocus(mainButton)) return;
+            hoverTween.play();
+            gsap.to(eyes, { y: -8, duration: 0.3, ease: 'power2.out' });
+        });
+
+        mainButton.addEventListener('blur', () => {
+            if (isTransitioning) return;
+            hoverTween.reverse();
+            gsap.to(eyes, { y: 0, duration: 0.3, ease: 'power2.inOut' });
         });
 
-        mainButton.addEventListener('mousedown', () => {
+        const press = () => {
             if (isTransitioning) return;
             gsap.to(follower, { scale: 0.9, duration: 0.15, ease: "power2.out" });
             gsap.to(eyes, { scaleY: 0.2, y: 12, duration: 0.1, transformOrigin: "center" });
-        });
+        };
 
-        mainButton.addEventListener('mouseup', () => {
+        const release = () => {
             if (isTransitioning) return;
             gsap.to(follower, { scale: 1, duration: 0.3, ease: "power2.out" });
             gsap.to(eyes, { scaleY: 1, y: 0, duration: 0.3, ease: 'power2.inOut' });
+        };
+
+        mainButton.addEventListener('mousedown', press);
+        mainButton.addEventListener('mouseup', release);
+
+        // Enter и Space "моргают" так же, как нажатие мыши
+        mainButton.addEventListener('keydown', (e) => {
+            if (!e.repeat && isActivationKey(e)) press();
+        });
+        mainButton.addEventListener('keyup', (e) => {
+            if (isActivationKey(e)) release();
         });
     }
 
     /**
-     * Настраивает анимацию перехода "туннель"
+     * Проверяет, что клавиша активирует элемент (Enter или пробел)
+     * @param {KeyboardEvent} e - событие клавиатуры
+     * @returns {boolean} - true для Enter и пробела
+     */
+    function isActivationKey(e) {
+        return e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar';
+    }
+
+    /**
+     * Проверяет, что браузер сам превратит нажатие клавиши в click
+     * @param {Element} element - элемент-триггер
+     * @param {KeyboardEvent} e - событие клавиатуры
+     * @returns {boolean} - true если click придёт без нашей помощи
+     */
+    function activatesNatively(element, e) {
+        const tag = element.tagName;
+        if (tag === 'BUTTON' || (tag === 'INPUT' && /^(button|submit|reset)$/i.test(element.type))) return true;
+        return tag === 'A' && element.hasAttribute('href') && e.key === 'Enter';
+    }
+
+    /**
+     * Настраивает переход по кнопкам-направлениям
+     * С включённым туннелем ссылка открывается в конце анимации, без него — сразу
      */
     function setupTransition() {
+        const tl = features.tunnel ? createTunnelTimeline() : null;
+
+        /**
+         * Запускает переход для элемента-триггера (общий путь для мыши и клавиатуры)
+         * @param {Element} trigger - элемент, запустивший переход
+         * @param {Object} [destination] - явное направление { url, target }
+         * @returns {boolean} - true если переход запущен
+         */
+        const startTransition = (trigger, destination = {}) => {
+            if (isTransitioning || (tl && tl.isActive())) return false;
+            
+            const url = destination.url || resolveDestination(trigger);
+            
+            // Без сети Telegram не откроется — откладываем направление до её появления
+            if (!isInternalUrl(url) && window.KoridorOffline && window.KoridorOffline.isOffline()) {
+                window.KoridorOffline.defer(url);
+                return false;
+            }
+            
+            activeTrigger = trigger;
+            pendingLink = url;
+            pendingTarget = destination.target || '_blank';
+            
+            if (!tl) {
+                openLink(pendingLink, pendingTarget);
+                activeTrigger = null;
+                notifyTransitionComplete(pendingLink, pendingTarget, trigger);
+                return true;
+            }
+            
+            trigger.classList.add('processing');
+            
+            // Создаем эффект взрыва частиц при клике
+            if (window.particleSystem) {
+                const rect = trigger.getBoundingClientRect();
+                const centerX = rect.left + rect.width / 2;
+                const centerY = rect.top + rect.height / 2;
+                window.particleSystem.createExplosion(centerX, centerY);
+            }
+            
+            tl.restart();
+            return true;
+        };
+
+        runTransition = startTransition;
+
+        // Один таймлайн туннеля обслуживает все кнопки-направления
+        getTransitionTriggers().forEach(trigger => {
+            trigger.addEventListener('click', (e) => {
+                e.preventDefault();
+                startTransition(trigger);
+            });
+            
+            // Элементы без нативной активации (div/span с tabindex) запускаем сами
+            trigger.addEventListener('keydown', (e) => {
+                if (e.repeat || !isActivationKey(e) || activatesNatively(trigger, e)) return;
+                e.preventDefault();
+                startTransition(trigger);
+            });
+        });
+    }
+
+    /**
+     * Создаёт таймлайн перехода "туннель"
+     * В профиле уменьшенного движения с tunnel: 'fade' кольца не анимируются
+     * @returns {Object} - приостановленный таймлайн GSAP
+     */
+    function createTunnelTimeline() {
+        const fadeTargets = follower ? [container, follower] : [container];
+        const isFadeOnly = isReducedMotion() && options.reducedMotion.tunnel === 'fade';
+
         const tl = gsap.timeline({
             paused: true,
             onStart: () => {
                 isTransitioning = true;
             },
             onComplete: () => {
-                try {
-                    window.open(fullLink, '_blank', 'noopener,noreferrer');
-                } catch (error) {
-                    console.error('Failed to open link:', error);
-                    // Запасной вариант
-                    window.location.href = fullLink;
-                }
+                openLink(pendingLink, pendingTarget);
                 
                 setTimeout(() => {
-                    mainButton.classList.remove('processing');
+                    const trigger = activeTrigger;
+                    if (activeTrigger) {
+                        activeTrigger.classList.remove('processing');
+                        activeTrigger = null;
+                    }
                     gsap.set(transitionOverlay, { opacity: 0, pointerEvents: 'none' });
                     gsap.to(container, { opacity: 1, duration: 0.5 });
-                    // Восстановление состояния маскота
-                    isFollowerVisible = false;
                     isTransitioning = false;
-                    gsap.set(follower, { opacity: 0, scale: 1, scaleX: 1, scaleY: 1 });
+                    
+                    // Восстановление состояния маскота: после Enter глаза остаются прищуренными,
+                    // потому что keyup приходит уже во время перехода и release() его пропускает
+                    if (follower) {
+                        isFollowerVisible = false;
+                        gsap.set(follower, { opacity: 0, scale: 1, scaleX: 1, scaleY: 1 });
+                        if (eyes) gsap.set(eyes, { scaleY: 1, y: 0 });
+                    }
+                    
+                    notifyTransitionComplete(pendingLink, pendingTarget, trigger);
                 }, 500);
             }
         });
 
-        tl.to([container, follower], { duration: 0.3, opacity: 0, ease: 'power2.in' })
-          .set(transitionOverlay, { opacity: 1, pointerEvents: 'auto' })
+        tl.to(fadeTargets, { duration: 0.3, opacity: 0, ease: 'power2.in' });
+        
+        if (isFadeOnly) return tl;
+
+        tl.set(transitionOverlay, { opacity: 1, pointerEvents: 'auto' })
           .fromTo(rings, {
               scale: 0.01,
               opacity: 1
@@ -315,28 +809,119 @@
               ease: 'power3.in'
           }, "-=0.2");
 
-        mainButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            if (tl.isActive() || isTransitioning) return;
-            mainButton.classList.add('processing');
-            
-            // Создаем эффект взрыва частиц при клике
-            if (window.particleSystem) {
-                const rect = mainButton.getBoundingClientRect();
-                const centerX = rect.left + rect.width / 2;
-                const centerY = rect.top + rect.height / 2;
-                window.particleSystem.createExplosion(centerX, centerY);
-            }
-            
-            tl.restart();
-        });
+        return tl;
+    }
+
+    /**
+     * Сообщает о завершении перехода, если пользователь остался на странице
+     * @param {string} url - адрес направления
+     * @param {string} target - '_blank' или '_self'
+     * @param {Element} [trigger] - элемент, запустивший переход (кнопка, ссылка маршрутизатора)
+     */
+    function notifyTransitionComplete(url, target, trigger) {
+        if (target === '_self') return;
+        
+        window.dispatchEvent(new CustomEvent(TRANSITION_COMPLETE_EVENT, {
+            detail: { url, target, trigger: trigger || mainButton }
+        }));
+    }
+
+    /**
+     * Проверяет, что адрес ведёт на представление этой же страницы (#gallery)
+     * @param {string} url - адрес направления
+     * @returns {boolean} - true для адреса вида #<представление>
+     */
+    function isInternalUrl(url) {
+        return typeof url === 'string' && url.charAt(0) === '#';
+    }
+
+    /**
+     * Открывает адрес направления
+     * Внутренний адрес (#gallery) только меняет hash — представление переключает KoridorRouter
+     * @param {string} url - адрес для открытия
+     * @param {string} [target] - '_blank' (новая вкладка) или '_self'
+     */
+    function openLink(url, target = '_blank') {
+        if (isInternalUrl(url)) {
+            window.location.hash = url;
+            return;
+        }
+        
+        if (window.KoridorOutbox) {
+            window.KoridorOutbox.enqueue('click_through', { url, target });
+        }
+        
+        if (target === '_self') {
+            window.location.assign(url);
+            return;
+        }
+        
+        if (window.KoridorCorridors) {
+            window.KoridorCorridors.open(url);
+            return;
+        }
+        
+        try {
+            window.open(url, '_blank', 'noopener,noreferrer');
+        } catch (error) {
+            console.error('Failed to open link:', error);
+            // Запасной вариант
+            window.location.href = url;
+        }
+    }
+
+    /**
+     * Запускает переход "туннель" к заданному адресу без клика пользователя
+     * @param {string} url - адрес направления
+     * @param {Object} [transitionOptions] - { target: '_blank' | '_self', trigger: элемент, от которого начинается переход }
+     * @returns {boolean} - true если переход запущен
+     */
+    function transitionTo(url, transitionOptions = {}) {
+        if (!runTransition || !mainButton) return false;
+        
+        return runTransition(transitionOptions.trigger || mainButton, { url, target: transitionOptions.target });
     }
 
-    // Запускаем инициализацию после загрузки DOM
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    /**
+     * Собирает элементы, запускающие переход: главная кнопка и все [data-corridor*]
+     * @returns {Array<Element>} - уникальные элементы-триггеры
+     */
+    function getTransitionTriggers() {
+        const triggers = new Set([mainButton]);
+        
+        if (window.KoridorCorridors) {
+            document.querySelectorAll(window.KoridorCorridors.TRIGGER_SELECTOR)
+                .forEach(element => triggers.add(element));
+        }
+        
+        return Array.from(triggers);
     }
 
-})();
\ No newline at end of file
+    /**
+     * Определяет адрес перехода для элемента-триггера
+     * @param {Element} trigger - элемент, запустивший переход
+     * @returns {string} - адрес направления
+     */
+    function resolveDestination(trigger) {
+        if (!window.KoridorCorridors) return getFallbackLink();
+        
+        try {
+            return window.KoridorCorridors.resolve(trigger).url;
+        } catch (error) {
+            console.error('Failed to resolve corridor:', error);
+            return getFallbackLink();
+        }
+    }
+
+    // Экспорт основного модуля
+    window.KoridorMain = {
+        init,
+        transitionTo,
+        isReducedMotion,
+        adaptForReducedMotion,
+        getFeatures: () => ({ ...features }),
+        TRANSITION_COMPLETE_EVENT,
+        DEFAULT_OPTIONS
+    };
+
+})();
@@ -0,0 +1,262 @@
+/**
+ * Оффлайн-режим коридора для проекта Коридор
+ * Запоминает направление, в которое не удалось перейти без сети,
+ * и продолжает переход, когда соединение возвращается
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const OFFLINE_CONFIG = {
+        // Ключ отложенного направления в localStorage
+        storageKey: 'koridor:pending-destination',
+
+        // Сколько хранится отложенное направление (30 минут)
+        ttl: 30 * 60 * 1000,
+
+        // Оффлайн-страница (относительно корня сайта)
+        pageUrl: 'offline.html',
+
+        // Атрибут, которым помечена оффлайн-страница
+        pageAttribute: 'data-offline-page',
+
+        // Элементы, в которых показывается состояние соединения
+        statusSelector: '[data-offline-status]',
+
+        // Пауза после события online, чтобы соединение успело установиться (мс)
+        resumeDelay: 800
+    };
+
+    // Тексты состояния для оффлайн-страницы
+    const STATUS_TEXT = {
+        offline: 'Нет соединения с сетью.',
+        pending: 'Направление сохранено — переход продолжится, как только появится сеть.',
+        online: 'Соединение восстановлено, продолжаем переход…',
+        unsaved: 'Нет соединения с сетью. Попробуйте ещё раз, когда она появится.',
+        close: 'Закрыть'
+    };
+
+    let resumeTimer = null;
+    let notice = null;
+
+    /**
+     * Проверяет, что браузер сообщает об отсутствии сети
+     * @returns {boolean} - true если сети нет
+     */
+    function isOffline() {
+        return navigator.onLine === false;
+    }
+
+    /**
+     * Проверяет, открыта ли оффлайн-страница
+     * Service Worker отдаёт её по исходному адресу, поэтому проверяется метка, а не путь
+     * @returns {boolean} - true на оффлайн-странице
+     */
+    function isOfflinePage() {
+        return document.body !== null && document.body.hasAttribute(OFFLINE_CONFIG.pageAttribute);
+    }
+
+    /**
+     * Возвращает отложенное направление, если его срок не истёк
+     * @returns {{url: string, timestamp: number}|null} - направление или null
+     */
+    function getPending() {
+        const utils = window.KoridorUtils;
+        const pending = utils ? utils.getLocalStorage(OFFLINE_CONFIG.storageKey) : null;
+
+        if (!pending || !pending.url) return null;
+
+        if (Date.now() - pending.timestamp > OFFLINE_CONFIG.ttl) {
+            clear();
+            return null;
+        }
+
+        return pending;
+    }
+
+    /**
+     * Запоминает направление до появления сети
+     * @param {string} url - адрес направления
+     * @returns {boolean} - true если направление сохранено
+     */
+    function queue(url) {
+        const utils = window.KoridorUtils;
+        if (!utils) {
+            console.warn('KoridorUtils is required to queue a destination');
+            return false;
+        }
+
+        utils.setLocalStorage(OFFLINE_CONFIG.storageKey, { url, timestamp: Date.now() });
+        updateStatus();
+        return true;
+    }
+
+    /**
+     * Удаляет отложенное направление
+     */
+    function clear() {
+        if (window.KoridorUtils) {
+            window.KoridorUtils.removeLocalStorage(OFFLINE_CONFIG.storageKey);
+        }
+    }
+
+    /**
+     * Откладывает переход и показывает оффлайн-страницу
+     * Без активного Service Worker страница недоступна, поэтому остаёмся на месте
+     * и сообщаем о сохранённом направлении уведомлением
+     * @param {string} url - адрес направления
+     */
+    function defer(url) {
+        const queued = queue(url);
+
+        if (isOfflinePage()) return;
+
+        const controlled = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+        if (!controlled) {
+            showNotice(queued ? STATUS_TEXT.pending : STATUS_TEXT.unsaved);
+            return;
+        }
+
+        window.location.href = new URL(OFFLINE_CONFIG.pageUrl, document.baseURI).href;
+    }
+
+    /**
+     * Показывает уведомление об отложенном переходе на странице, с которой не удалось уйти
+     * @param {string} text - текст уведомления
+     */
+    function showNotice(text) {
+        if (!notice) {
+            if (window.KoridorUtils) window.KoridorUtils.injectToastStyles();
+
+            notice = document.createElement('div');
+            notice.className = 'koridor-toast koridor-offline-notice';
+            notice.setAttribute('role', 'status');
+            notice.setAttribute('aria-live', 'polite');
+
+            const message = document.createElement('span');
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.textContent = STATUS_TEXT.close;
+            close.addEventListener('click', hideNotice);
+
+            notice.append(message, close);
+            document.body.appendChild(notice);
+        }
+
+        notice.firstChild.textContent = text;
+        notice.hidden = false;
+    }
+
+    /**
+     * Прячет уведомление об отложенном переходе
+     */
+    function hideNotice() {
+        if (notice) notice.hidden = true;
+    }
+
+    /**
+     * Продолжает отложенный переход
+     * На оффлайн-странице без отложенного направления возвращает на исходную страницу
+     */
+    function resume() {
+        if (isOffline()) return;
+
+        const pending = getPending();
+
+        if (!pending) {
+            if (isOfflinePage()) leaveOfflinePage();
+            return;
+        }
+
+        clear();
+
+        // Переход без жеста пользователя: новая вкладка будет заблокирована, открываем в текущей
+        if (window.KoridorMain && window.KoridorMain.transitionTo(pending.url, { target: '_self' })) return;
+
+        window.location.href = pending.url;
+    }
+
+    /**
+     * Уходит с оффлайн-страницы туда, куда пользователь шёл изначально
+     */
+    function leaveOfflinePage() {
+        const path = window.location.pathname;
+
+        if (path.slice(-OFFLINE_CONFIG.pageUrl.length) === OFFLINE_CONFIG.pageUrl) {
+            window.location.replace(new URL('./', document.baseURI).href);
+        } else {
+            // Адрес уже исходный: Service Worker подставил оффлайн-страницу вместо него
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Обновляет текст состояния соединения
+     */
+    function updateStatus() {
+        const elements = document.querySelectorAll(OFFLINE_CONFIG.statusSelector);
+        if (!elements.length) return;
+
+        let text = STATUS_TEXT.online;
+        if (isOffline()) {
+            text = getPending() ? STATUS_TEXT.pending : STATUS_TEXT.offline;
+        }
+
+        elements.forEach(element => {
+            element.textContent = text;
+        });
+    }
+
+    /**
+     * Обрабатывает возвращение сети
+     */
+    function handleOnline() {
+        updateStatus();
+        hideNotice();
+        clearTimeout(resumeTimer);
+        resumeTimer = setTimeout(resume, OFFLINE_CONFIG.resumeDelay);
+    }
+
+    /**
+     * Обрабатывает потерю сети
+     */
+    function handleOffline() {
+        clearTimeout(resumeTimer);
+        updateStatus();
+    }
+
+    /**
+     * Подключает слежение за соединением
+     */
+    function init() {
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        updateStatus();
+
+        // Сеть могла вернуться, пока страница загружалась из кэша
+        if (isOfflinePage() && !isOffline()) {
+            handleOnline();
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Экспорт оффлайн-режима
+    window.KoridorOffline = {
+        isOffline,
+        isOfflinePage,
+        getPending,
+        queue,
+        clear,
+        defer,
+        resume,
+        OFFLINE_CONFIG
+    };
+
+})();
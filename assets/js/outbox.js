@@ -0,0 +1,138 @@
+/**
+ * Очередь исходящих событий для проекта Коридор
+ * Передаёт события (переходы, поисковые запросы с 404) в очередь Service Worker,
+ * который досылает их через Background Sync, когда есть сеть
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const OUTBOX_CONFIG = {
+        // Адрес приёмника событий задаётся на странице: <meta name="koridor-outbox-endpoint" content="...">
+        endpointMeta: 'koridor-outbox-endpoint',
+
+        // Одинаковые события в пределах окна считаются повтором (мс)
+        dedupeWindow: 5000,
+
+        // Сколько ждать ответа воркера при постановке в очередь (мс)
+        enqueueTimeout: 2000
+    };
+
+    let endpoint;
+
+    /**
+     * Возвращает адрес приёмника событий
+     * @returns {string|null} - абсолютный адрес или null, если приёмник не настроен
+     */
+    function getEndpoint() {
+        if (endpoint === undefined) {
+            const meta = document.querySelector(`meta[name="${OUTBOX_CONFIG.endpointMeta}"]`);
+            const content = meta ? meta.getAttribute('content').trim() : '';
+            endpoint = content ? new URL(content, document.baseURI).href : null;
+        }
+
+        return endpoint;
+    }
+
+    /**
+     * Задаёт адрес приёмника событий вместо meta-тега
+     * @param {string|null} url - адрес приёмника
+     */
+    function setEndpoint(url) {
+        endpoint = url ? new URL(url, document.baseURI).href : null;
+    }
+
+    /**
+     * Строит ключ дедупликации: одинаковое событие в пределах окна получает тот же ключ
+     * @param {string} type - тип события
+     * @param {Object} data - данные события
+     * @returns {string} - ключ
+     */
+    function getDedupeKey(type, data) {
+        const bucket = Math.floor(Date.now() / OUTBOX_CONFIG.dedupeWindow);
+        return `${type}:${JSON.stringify(data)}:${bucket}`;
+    }
+
+    /**
+     * Отправляет событие напрямую, если Service Worker недоступен
+     * @param {string} url - адрес приёмника
+     * @param {string} body - тело запроса
+     * @returns {boolean} - true если браузер принял отправку
+     */
+    function sendDirect(url, body) {
+        if (!navigator.sendBeacon) return false;
+
+        try {
+            // text/plain не требует CORS-предзапроса, который sendBeacon выполнить не может
+            return navigator.sendBeacon(url, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+        } catch (error) {
+            console.warn('Failed to send outbox event:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Ставит событие в очередь на отправку
+     * @param {string} type - тип события (например, 'click_through', 'not_found_search')
+     * @param {Object} [data] - данные события
+     * @param {Object} [enqueueOptions] - { dedupeKey } для явного ключа дедупликации
+     * @returns {Promise<boolean>} - true если событие принято в очередь или отправлено
+     */
+    function enqueue(type, data = {}, enqueueOptions = {}) {
+        const url = getEndpoint();
+        if (!url) return Promise.resolve(false);
+
+        const id = enqueueOptions.dedupeKey || getDedupeKey(type, data);
+        const body = JSON.stringify({
+            id,
+            type,
+            data,
+            page: window.location.pathname,
+            timestamp: Date.now()
+        });
+
+        if (!window.KoridorSW) {
+            return Promise.resolve(sendDirect(url, body));
+        }
+
+        return window.KoridorSW.request('OUTBOX_ENQUEUE', { id, url, body }, { timeout: OUTBOX_CONFIG.enqueueTimeout })
+            .then(() => true)
+            .catch(() => sendDirect(url, body));
+    }
+
+    /**
+     * Просит воркер дослать накопленные события
+     * Нужно браузерам без Background Sync: там очередь досылается по запросу страницы
+     * @returns {Promise<Object|null>} - итог досылки или null
+     */
+    function flush() {
+        if (!window.KoridorSW || !getEndpoint()) return Promise.resolve(null);
+
+        return window.KoridorSW.request('OUTBOX_FLUSH').catch(() => null);
+    }
+
+    /**
+     * Подключает досылку очереди при загрузке страницы и возвращении сети
+     */
+    function init() {
+        window.addEventListener('online', flush);
+        flush();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Экспорт очереди событий
+    window.KoridorOutbox = {
+        enqueue,
+        flush,
+        getEndpoint,
+        setEndpoint,
+        OUTBOX_CONFIG
+    };
+
+})();
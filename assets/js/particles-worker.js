@@ -0,0 +1,131 @@
+/**
+ * Web Worker системы частиц для проекта Коридор
+ * Выполняет update()/draw() на OffscreenCanvas, получая события страницы через postMessage
+ */
+
+(function() {
+    'use strict';
+
+    // В воркерах без requestAnimationFrame используем таймер ~60 fps
+    if (typeof self.requestAnimationFrame !== 'function') {
+        self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 16);
+        self.cancelAnimationFrame = (id) => clearTimeout(id);
+    }
+
+    importScripts('particles.js');
+
+    // Методы системы, которые страница может вызвать через сообщение 'call'
+    const ALLOWED_METHODS = [
+        'createExplosion',
+        'emit',
+        'addForce',
+        'configureForce',
+        'removeForce',
+        'addEmitter',
+        'configureEmitter',
+        'removeEmitter',
+        'setQuality',
+        'setPalette',
+        'start',
+        'pause',
+        'resume'
+    ];
+
+    let system = null;
+
+    // Идентификаторы плагинов страницы -> идентификаторы в системе воркера
+    const pluginIds = new Map();
+
+    /**
+     * Создаёт систему частиц на переданном OffscreenCanvas
+     * @param {Object} data - сообщение init
+     */
+    function init(data) {
+        if (data.scripts && data.scripts.length > 0) {
+            importScripts(...data.scripts);
+        }
+
+        // Размеры нужны до создания системы: по ним расставляются начальные частицы
+        self.ParticleSystem.setViewport(data.width, data.height);
+        system = new self.ParticleSystem.ParticleSystem(data.canvas, data.options || {});
+        system.handleResize(data.width, data.height);
+    }
+
+    /**
+     * Выполняет вызов метода системы, пересчитывая идентификаторы плагинов
+     * @param {Object} data - сообщение call ({ method, args, id })
+     */
+    function call(data) {
+        if (ALLOWED_METHODS.indexOf(data.method) === -1) {
+            console.warn('Particle worker: method is not allowed:', data.method);
+            return;
+        }
+
+        const args = data.args || [];
+
+        switch (data.method) {
+            case 'addForce':
+            case 'addEmitter':
+                pluginIds.set(data.id, system[data.method](...args));
+                break;
+
+            case 'configureForce':
+            case 'configureEmitter':
+                system[data.method](pluginIds.get(data.id), ...args);
+                break;
+
+            case 'removeForce':
+            case 'removeEmitter':
+                system[data.method](pluginIds.get(data.id));
+                pluginIds.delete(data.id);
+                break;
+
+            default:
+                system[data.method](...args);
+        }
+    }
+
+    self.addEventListener('message', (event) => {
+        const data = event.data || {};
+
+        try {
+            if (data.type === 'init') {
+                init(data);
+                return;
+            }
+
+            if (!system) return;
+
+            switch (data.type) {
+                case 'call':
+                    call(data);
+                    break;
+
+                case 'pointer':
+                    if (data.x !== undefined && data.y !== undefined) {
+                        system.applyMouseForces(data.x, data.y);
+                    }
+                    if (data.over !== undefined) {
+                        system.isMouseOver = data.over;
+                    }
+                    break;
+
+                case 'resize':
+                    system.handleResize(data.width, data.height);
+                    break;
+
+                case 'destroy':
+                    system.destroy();
+                    system = null;
+                    self.close();
+                    break;
+
+                default:
+                    console.warn('Particle worker: unknown message type:', data.type);
+            }
+        } catch (error) {
+            console.error('Particle worker error:', error);
+        }
+    });
+
+})();
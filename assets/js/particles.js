@@ -6,6 +6,14 @@
 (function() {
     'use strict';
 
+    // Глобальный объект: window на странице, self внутри Web Worker
+    const root = typeof window !== 'undefined' ? window : self;
+
+    // Путь к этому скрипту — от него строится адрес воркера по умолчанию
+    const scriptSrc = typeof document !== 'undefined' && document.currentScript
+        ? document.currentScript.src
+        : '';
+
     // --- Конфигурация системы частиц ---
     const PARTICLE_CONFIG = {
         // Количество частиц
@@ -14,6 +22,9 @@
         // Максимальное расстояние для соединения линий
         connectionDistance: 150,
         
+        // Количество уровней прозрачности, по которым группируется отрисовка линий
+        connectionAlphaBuckets: 8,
+        
         // Размеры частиц
         particleSize: {
             min: 1,
@@ -48,14 +59,40 @@
             particleCount: 20,
             speed: 5,
             lifetime: 1000 // мс
+        },
+        
+        // Параметры фонового режима (OffscreenCanvas + Web Worker)
+        worker: {
+            scriptName: 'particles-worker.js'
         }
     };
 
+    // Размеры области отрисовки; в воркере обновляются сообщениями со страницы
+    const viewport = {
+        width: root.innerWidth || 0,
+        height: root.innerHeight || 0
+    };
+
+    /**
+     * Задаёт размеры области отрисовки
+     * @param {number} width - ширина
+     * @param {number} height - высота
+     */
+    function setViewport(width, height) {
+        viewport.width = width;
+        viewport.height = height;
+    }
+
     /**
      * Класс для представления отдельной частицы
      */
     class Particle {
-        constructor(x, y) {
+        /**
+         * @param {number} x - координата X
+         * @param {number} y - координата Y
+         * @param {Object} overrides - начальные значения полей (vx, vy, size, color, life, decay)
+         */
+        constructor(x, y, overrides = {}) {
             this.x = x;
             this.y = y;
             this.vx = (Math.random() - 0.5) * 2;
@@ -66,20 +103,15 @@
             this.alpha = 1;
             this.life = 1;
             this.decay = 0.005 + Math.random() * 0.005;
-            this.connections = [];
+            
+            Object.assign(this, overrides);
         }
 
         /**
          * Обновление физики частицы
+         * Силы (гравитация, трение, курсор и др.) применяются системой до вызова
          */
         update() {
-            // Применение гравитации
-            this.vy += PARTICLE_CONFIG.physics.gravity;
-            
-            // Применение трения
-            this.vx *= PARTICLE_CONFIG.physics.friction;
-            this.vy *= PARTICLE_CONFIG.physics.friction;
-            
             // Обновление позиции
             this.x += this.vx;
             this.y += this.vy;
@@ -89,13 +121,13 @@
             this.alpha = Math.max(0, this.life);
             
             // Отскок от границ экрана
-            if (this.x < 0 || this.x > window.innerWidth) {
+            if (this.x < 0 || this.x > viewport.width) {
                 this.vx *= -PARTICLE_CONFIG.physics.bounce;
-                this.x = Math.max(0, Math.min(window.innerWidth, this.x));
+                this.x = Math.max(0, Math.min(viewport.width, this.x));
             }
-            if (this.y < 0 || this.y > window.innerHeight) {
+            if (this.y < 0 || this.y > viewport.height) {
                 this.vy *= -PARTICLE_CONFIG.physics.bounce;
-                this.y = Math.max(0, Math.min(window.innerHeight, this.y));
+                this.y = Math.max(0, Math.min(viewport.height, this.y));
             }
         }
 
@@ -145,11 +177,430 @@
         }
     }
 
+    // Силы, которые подключаются, если страница не задала свою композицию
+    const DEFAULT_FORCES = ['mouse', 'gravity', 'friction'];
+
+    // --- Реестры плагинов ---
+    const forceRegistry = new Map();
+    const emitterRegistry = new Map();
+
+    /**
+     * Регистрирует силу, действующую на частицы
+     * @param {string} name - имя силы
+     * @param {Object} definition - описание силы
+     * @param {Object} definition.defaults - параметры по умолчанию
+     * @param {Function} definition.apply - (particle, options, system) => void
+     * @param {Function} [definition.prepare] - (options, system, time) => void, вызывается раз в кадр
+     */
+    function registerForce(name, definition) {
+        if (!definition || typeof definition.apply !== 'function') {
+            throw new TypeError(`Force "${name}" must define apply()`);
+        }
+        forceRegistry.set(name, { defaults: {}, ...definition });
+    }
+
+    /**
+     * Регистрирует эмиттер частиц
+     * @param {string} name - имя эмиттера
+     * @param {Object} definition - описание эмиттера
+     * @param {Object} definition.defaults - параметры по умолчанию
+     * @param {Function} definition.emit - (system, options, state, dt) => Array<Particle>
+     * @param {boolean} [definition.continuous] - эмиттер работает каждый кадр (иначе по interval)
+     */
+    function registerEmitter(name, definition) {
+        if (!definition || typeof definition.emit !== 'function') {
+            throw new TypeError(`Emitter "${name}" must define emit()`);
+        }
+        emitterRegistry.set(name, { defaults: {}, continuous: false, ...definition });
+    }
+
+    /**
+     * Возвращает точку по умолчанию — центр экрана
+     * @param {Object} options - параметры с необязательными x/y
+     * @returns {{x: number, y: number}} - координаты
+     */
+    function resolvePoint(options) {
+        return {
+            x: options.x !== null && options.x !== undefined ? options.x : viewport.width / 2,
+            y: options.y !== null && options.y !== undefined ? options.y : viewport.height / 2
+        };
+    }
+
+    // --- Встроенные силы ---
+
+    registerForce('gravity', {
+        defaults: { strength: PARTICLE_CONFIG.physics.gravity },
+        apply(particle, options) {
+            particle.vy += options.strength;
+        }
+    });
+
+    registerForce('friction', {
+        defaults: { factor: PARTICLE_CONFIG.physics.friction },
+        apply(particle, options) {
+            particle.vx *= options.factor;
+            particle.vy *= options.factor;
+        }
+    });
+
+    registerForce('mouse', {
+        defaults: { ...PARTICLE_CONFIG.mouse },
+        apply(particle, options, system) {
+            if (!system.isMouseOver) return;
+
+            const dx = system.mouseX - particle.x;
+            const dy = system.mouseY - particle.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance < options.repulsionRadius) {
+                // Сила отталкивания
+                const force = options.repulsionForce * (1 - distance / options.repulsionRadius);
+                const angle = Math.atan2(dy, dx);
+                particle.applyForce(
+                    Math.cos(angle) * force,
+                    Math.sin(angle) * force
+                );
+            } else if (distance < options.attractionRadius) {
+                // Сила притяжения
+                const force = options.attractionForce * (distance / options.attractionRadius);
+                const angle = Math.atan2(dy, dx);
+                particle.applyForce(
+                    Math.cos(angle) * force,
+                    Math.sin(angle) * force
+                );
+            }
+        }
+    });
+
+    registerForce('vortex', {
+        defaults: { x: null, y: null, radius: 250, strength: 0.05, pull: 0.01 },
+        apply(particle, options) {
+            const center = resolvePoint(options);
+            const dx = particle.x - center.x;
+            const dy = particle.y - center.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0 || distance > options.radius) return;
+
+            const falloff = 1 - distance / options.radius;
+            // Касательная составляющая закручивает, радиальная — притягивает к центру
+            particle.applyForce(
+                (-dy / distance) * options.strength * falloff - (dx / distance) * options.pull * falloff,
+                (dx / distance) * options.strength * falloff - (dy / distance) * options.pull * falloff
+            );
+        }
+    });
+
+    registerForce('wind', {
+        defaults: { angle: 0, strength: 0.03, gust: 0.5, frequency: 0.001 },
+        prepare(options, system, time) {
+            // Порывы ветра меняют силу плавно во времени
+            options.current = options.strength * (1 + Math.sin(time * options.frequency) * options.gust);
+        },
+        apply(particle, options) {
+            const strength = options.current !== undefined ? options.current : options.strength;
+            particle.applyForce(
+                Math.cos(options.angle) * strength,
+                Math.sin(options.angle) * strength
+            );
+        }
+    });
+
+    registerForce('attractor', {
+        defaults: { x: null, y: null, radius: 300, strength: 0.05, minDistance: 10 },
+        apply(particle, options) {
+            const point = resolvePoint(options);
+            const dx = point.x - particle.x;
+            const dy = point.y - particle.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > options.radius) return;
+
+            // Отрицательная сила превращает аттрактор в репеллер
+            const force = options.strength / Math.max(distance, options.minDistance);
+            particle.applyForce(dx * force, dy * force);
+        }
+    });
+
+    registerForce('noise', {
+        defaults: { scale: 0.005, strength: 0.05, speed: 0.0003 },
+        prepare(options, system, time) {
+            options.time = time * options.speed;
+        },
+        apply(particle, options) {
+            const t = options.time || 0;
+            const nx = particle.x * options.scale;
+            const ny = particle.y * options.scale;
+            // Гладкое псевдослучайное поле направлений
+            const angle = (Math.sin(nx + t) + Math.cos(ny - t) + Math.sin((nx + ny) * 0.5 + t * 1.3)) * Math.PI;
+            particle.applyForce(
+                Math.cos(angle) * options.strength,
+                Math.sin(angle) * options.strength
+            );
+        }
+    });
+
+    // --- Встроенные эмиттеры ---
+
+    registerEmitter('burst', {
+        defaults: {
+            x: null,
+            y: null,
+            count: PARTICLE_CONFIG.explosion.particleCount,
+            speed: PARTICLE_CONFIG.explosion.speed,
+            lifetime: PARTICLE_CONFIG.explosion.lifetime
+        },
+        emit(system, options) {
+            const origin = resolvePoint(options);
+            const particles = [];
+            for (let i = 0; i < options.count; i++) {
+                const angle = (Math.PI * 2 * i) / options.count;
+                const speed = options.speed * (0.5 + Math.random() * 0.5);
+                particles.push(new Particle(origin.x, origin.y, {
+                    vx: Math.cos(angle) * speed,
+                    vy: Math.sin(angle) * speed,
+                    life: 1,
+                    decay: 1 / options.lifetime
+                }));
+            }
+            return particles;
+        }
+    });
+
+    registerEmitter('stream', {
+        continuous: true,
+        defaults: { x: null, y: null, rate: 20, angle: -Math.PI / 2, spread: 0.4, speed: 3 },
+        emit(system, options, state, dt) {
+            const origin = resolvePoint(options);
+            // rate — частиц в секунду; дробный остаток копится между кадрами
+            state.pending = (state.pending || 0) + (options.rate * dt) / 1000;
+            const count = Math.floor(state.pending);
+            state.pending -= count;
+
+            const particles = [];
+            for (let i = 0; i < count; i++) {
+                const angle = options.angle + (Math.random() - 0.5) * options.spread;
+                const speed = options.speed * (0.7 + Math.random() * 0.3);
+                particles.push(new Particle(origin.x, origin.y, {
+                    vx: Math.cos(angle) * speed,
+                    vy: Math.sin(angle) * speed
+                }));
+            }
+            return particles;
+        }
+    });
+
+    registerEmitter('ring', {
+        defaults: { x: null, y: null, radius: 60, count: 24, speed: 1.5 },
+        emit(system, options) {
+            const center = resolvePoint(options);
+            const particles = [];
+            for (let i = 0; i < options.count; i++) {
+                const angle = (Math.PI * 2 * i) / options.count;
+                particles.push(new Particle(
+                    center.x + Math.cos(angle) * options.radius,
+                    center.y + Math.sin(angle) * options.radius,
+                    {
+                        vx: Math.cos(angle) * options.speed,
+                        vy: Math.sin(angle) * options.speed
+                    }
+                ));
+            }
+            return particles;
+        }
+    });
+
+    registerEmitter('path', {
+        defaults: { points: null, path: null, count: 30, speed: 0.5 },
+        emit(system, options) {
+            const samples = samplePath(options);
+            return samples.map(point => new Particle(point.x, point.y, {
+                vx: (Math.random() - 0.5) * options.speed,
+                vy: (Math.random() - 0.5) * options.speed
+            }));
+        }
+    });
+
+    /**
+     * Равномерно распределяет точки вдоль SVG-пути или ломаной
+     * @param {Object} options - { path: SVGGeometryElement } или { points: Array<{x, y}> }, count
+     * @returns {Array<{x: number, y: number}>} - точки в координатах экрана
+     */
+    function samplePath(options) {
+        const count = Math.max(1, options.count);
+
+        if (options.path && typeof options.path.getTotalLength === 'function') {
+            const total = options.path.getTotalLength();
+            const matrix = options.path.getScreenCTM();
+            const points = [];
+            for (let i = 0; i < count; i++) {
+                const point = options.path.getPointAtLength((total * i) / Math.max(1, count - 1));
+                points.push(matrix ? point.matrixTransform(matrix) : point);
+            }
+            return points;
+        }
+
+        const polyline = options.points || [];
+        if (polyline.length < 2) return polyline.slice(0, count);
+
+        // Длины сегментов ломаной для равномерного распределения
+        const lengths = [];
+        let total = 0;
+        for (let i = 1; i < polyline.length; i++) {
+            const length = Math.hypot(polyline[i].x - polyline[i - 1].x, polyline[i].y - polyline[i - 1].y);
+            lengths.push(length);
+            total += length;
+        }
+
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            let target = (total * i) / Math.max(1, count - 1);
+            let segment = 0;
+            while (segment < lengths.length - 1 && target > lengths[segment]) {
+                target -= lengths[segment];
+                segment++;
+            }
+            const t = lengths[segment] ? Math.min(1, target / lengths[segment]) : 0;
+            const a = polyline[segment];
+            const b = polyline[segment + 1];
+            points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+        return points;
+    }
+
+    /**
+     * Равномерная пространственная сетка для поиска соседей
+     * Частицы раскладываются по ячейкам подсчётом (counting sort) без аллокаций на кадр
+     */
+    class SpatialGrid {
+        /**
+         * @param {number} cellSize - размер ячейки (обычно равен connectionDistance)
+         */
+        constructor(cellSize) {
+            this.cellSize = cellSize;
+            this.cols = 0;
+            this.rows = 0;
+            this.cellStart = new Uint32Array(0);
+            this.cellCursor = new Uint32Array(0);
+            this.cellItems = new Uint32Array(0);
+            this.itemCell = new Uint32Array(0);
+        }
+
+        /**
+         * Раскладывает элементы по ячейкам
+         * @param {Array<{x: number, y: number}>} items - элементы с координатами
+         * @param {number} width - ширина области
+         * @param {number} height - высота области
+         */
+        build(items, width, height) {
+            const size = this.cellSize;
+            const cols = Math.max(1, Math.ceil(width / size));
+            const rows = Math.max(1, Math.ceil(height / size));
+            const cellCount = cols * rows;
+            const count = items.length;
+
+            if (this.cellStart.length < cellCount + 1) {
+                this.cellStart = new Uint32Array(cellCount + 1);
+                this.cellCursor = new Uint32Array(cellCount + 1);
+            } else {
+                this.cellStart.fill(0, 0, cellCount + 1);
+            }
+            if (this.cellItems.length < count) {
+                this.cellItems = new Uint32Array(count * 2);
+                this.itemCell = new Uint32Array(count * 2);
+            }
+
+            this.cols = cols;
+            this.rows = rows;
+
+            // Элементы за границами попадают в крайние ячейки — это объединяет ячейки,
+            // но не разделяет соседей, поэтому поиск остаётся точным
+            for (let i = 0; i < count; i++) {
+                const cx = Math.min(cols - 1, Math.max(0, Math.floor(items[i].x / size)));
+                const cy = Math.min(rows - 1, Math.max(0, Math.floor(items[i].y / size)));
+                const cell = cy * cols + cx;
+                this.itemCell[i] = cell;
+                this.cellStart[cell + 1]++;
+            }
+
+            for (let c = 0; c < cellCount; c++) {
+                this.cellStart[c + 1] += this.cellStart[c];
+            }
+
+            const cursor = this.cellCursor;
+            cursor.set(this.cellStart.subarray(0, cellCount));
+            for (let i = 0; i < count; i++) {
+                this.cellItems[cursor[this.itemCell[i]]++] = i;
+            }
+        }
+
+        /**
+         * Перебирает все пары элементов ближе radius, каждую пару ровно один раз
+         * Для каждой ячейки проверяются она сама и четыре соседа "вперёд"
+         * @param {Array<{x: number, y: number}>} items - те же элементы, что и в build()
+         * @param {number} radius - максимальное расстояние
+         * @param {Function} callback - (i, j, distance) => void
+         */
+        forEachPair(items, radius, callback) {
+            const radiusSq = radius * radius;
+            const { cols, rows, cellStart, cellItems } = this;
+            const offsets = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+            for (let cy = 0; cy < rows; cy++) {
+                for (let cx = 0; cx < cols; cx++) {
+                    const cell = cy * cols + cx;
+                    const start = cellStart[cell];
+                    const end = cellStart[cell + 1];
+                    if (start === end) continue;
+
+                    for (let a = start; a < end; a++) {
+                        const i = cellItems[a];
+                        const p1 = items[i];
+
+                        // Пары внутри ячейки
+                        for (let b = a + 1; b < end; b++) {
+                            const j = cellItems[b];
+                            const dx = p1.x - items[j].x;
+                            const dy = p1.y - items[j].y;
+                            const distSq = dx * dx + dy * dy;
+                            if (distSq < radiusSq) {
+                                callback(Math.min(i, j), Math.max(i, j), Math.sqrt(distSq));
+                            }
+                        }
+
+                        // Пары с соседними ячейками
+                        for (let o = 0; o < offsets.length; o++) {
+                            const nx = cx + offsets[o][0];
+                            const ny = cy + offsets[o][1];
+                            if (nx < 0 || nx >= cols || ny >= rows) continue;
+
+                            const neighbour = ny * cols + nx;
+                            for (let b = cellStart[neighbour]; b < cellStart[neighbour + 1]; b++) {
+                                const j = cellItems[b];
+                                const dx = p1.x - items[j].x;
+                                const dy = p1.y - items[j].y;
+                                const distSq = dx * dx + dy * dy;
+                                if (distSq < radiusSq) {
+                                    callback(Math.min(i, j), Math.max(i, j), Math.sqrt(distSq));
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * Класс для управления системой частиц
      */
     class ParticleSystem {
-        constructor(canvas) {
+        /**
+         * @param {HTMLCanvasElement} canvas - canvas для отрисовки
+         * @param {Object} options - композиция плагинов
+         * @param {Array<string|Object>} [options.forces] - силы: имя или { name, ...параметры }
+         * @param {Array<Object>} [options.emitters] - постоянные эмиттеры: { name, ...параметры }
+         * @param {Array<string>} [options.palette] - цвета частиц вместо PARTICLE_CONFIG.colors
+         */
+        constructor(canvas, options = {}) {
             this.canvas = canvas;
             this.ctx = canvas.getContext('2d');
             this.particles = [];
@@ -159,6 +610,49 @@
             this.lastMouseX = 0;
             this.lastMouseY = 0;
             
+            // Активные плагины
+            this.forces = [];
+            this.emitters = [];
+            this.nextPluginId = 1;
+            this.lastFrameTime = null;
+            
+            // Состояние жизненного цикла
+            this.rafId = null;
+            this.isRunning = false;
+            this.isAutoPaused = false;
+            this.isDestroyed = false;
+            this.ownsCanvas = false;
+            this.listeners = [];
+            this.frame = (now) => this.animate(now);
+            
+            // Параметры качества, которые можно менять на лету (см. setQuality)
+            this.settings = {
+                particleCount: PARTICLE_CONFIG.particleCount,
+                connectionDistance: PARTICLE_CONFIG.connectionDistance,
+                connections: true,
+                dpr: 1
+            };
+            
+            // Поиск соединений и пакетная отрисовка линий
+            this.grid = new SpatialGrid(this.settings.connectionDistance);
+            this.connectionBuckets = Array.from(
+                { length: PARTICLE_CONFIG.connectionAlphaBuckets },
+                () => []
+            );
+            
+            (options.forces || DEFAULT_FORCES).forEach(force => {
+                const { name, ...forceOptions } = typeof force === 'string' ? { name: force } : force;
+                this.addForce(name, forceOptions);
+            });
+            
+            (options.emitters || []).forEach(({ name, ...emitterOptions }) => {
+                this.addEmitter(name, emitterOptions);
+            });
+            
+            if (options.palette) {
+                this.setPalette(options.palette);
+            }
+            
             // Инициализация частиц
             this.initParticles();
             
@@ -168,11 +662,12 @@
 
         /**
          * Инициализация частиц в случайных позициях
+         * @param {number} [count] - количество частиц (по умолчанию из настроек качества)
          */
-        initParticles() {
-            for (let i = 0; i < PARTICLE_CONFIG.particleCount; i++) {
-                const x = Math.random() * window.innerWidth;
-                const y = Math.random() * window.innerHeight;
+        initParticles(count = this.settings.particleCount) {
+            for (let i = 0; i < count; i++) {
+                const x = Math.random() * viewport.width;
+                const y = Math.random() * viewport.height;
                 this.particles.push(new Particle(x, y));
             }
         }
@@ -181,8 +676,11 @@
          * Установка обработчиков событий
          */
         setupEventListeners() {
+            // Внутри воркера DOM нет — события пересылает WorkerParticleSystem
+            if (typeof document === 'undefined') return;
+
             // Отслеживание движения мыши
-            document.addEventListener('mousemove', (e) => {
+            this.listen(document, 'mousemove', (e) => {
                 this.lastMouseX = this.mouseX;
                 this.lastMouseY = this.mouseY;
                 this.mouseX = e.clientX;
@@ -190,23 +688,57 @@
                 this.isMouseOver = true;
             });
 
-            document.addEventListener('mouseleave', () => {
+            this.listen(document, 'mouseleave', () => {
                 this.isMouseOver = false;
             });
 
-            document.addEventListener('mouseenter', () => {
+            this.listen(document, 'mouseenter', () => {
                 this.isMouseOver = true;
             });
 
             // Обработка клика для создания эффекта взрыва
-            document.addEventListener('click', (e) => {
+            this.listen(document, 'click', (e) => {
                 this.createExplosion(e.clientX, e.clientY);
             });
 
             // Обработка изменения размера окна
-            window.addEventListener('resize', () => {
+            this.listen(window, 'resize', () => {
                 this.handleResize();
             });
+
+            // Фоновые вкладки не тратят CPU на анимацию
+            this.listen(document, 'visibilitychange', () => {
+                if (document.hidden) {
+                    if (this.isRunning) {
+                        this.pause();
+                        this.isAutoPaused = true;
+                    }
+                } else if (this.isAutoPaused) {
+                    this.resume();
+                }
+            });
+        }
+
+        /**
+         * Подписывается на событие и запоминает обработчик для последующего снятия
+         * @param {EventTarget} target - цель подписки
+         * @param {string} type - тип события
+         * @param {Function} handler - обработчик
+         * @param {Object|boolean} [options] - параметры addEventListener
+         */
+        listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            this.listeners.push({ target, type, handler, options });
+        }
+
+        /**
+         * Снимает все обработчики, установленные через listen()
+         */
+        removeEventListeners() {
+            this.listeners.forEach(({ target, type, handler, options }) => {
+                target.removeEventListener(type, handler, options);
+            });
+            this.listeners = [];
         }
 
         /**
@@ -215,103 +747,314 @@
          * @param {number} y - координата Y взрыва
          */
         createExplosion(x, y) {
-            const explosionParticles = [];
-            for (let i = 0; i < PARTICLE_CONFIG.explosion.particleCount; i++) {
-                const angle = (Math.PI * 2 * i) / PARTICLE_CONFIG.explosion.particleCount;
-                const speed = PARTICLE_CONFIG.explosion.speed * (0.5 + Math.random() * 0.5);
-                const particle = new Particle(x, y);
-                particle.vx = Math.cos(angle) * speed;
-                particle.vy = Math.sin(angle) * speed;
-                particle.life = 1;
-                particle.decay = 1 / PARTICLE_CONFIG.explosion.lifetime;
-                explosionParticles.push(particle);
-            }
+            this.emit('burst', { x, y });
+        }
+
+        /**
+         * Добавляет частицы в систему с ограничением общего количества
+         * @param {Array<Particle>} particles - новые частицы
+         */
+        addParticles(particles) {
+            if (!particles || particles.length === 0) return;
             
-            // Добавление взрывных частиц в общую систему
-            this.particles.push(...explosionParticles);
+            this.particles.push(...particles);
             
             // Ограничение общего количества частиц
-            if (this.particles.length > PARTICLE_CONFIG.particleCount * 2) {
-                this.particles = this.particles.slice(-PARTICLE_CONFIG.particleCount * 2);
+            if (this.particles.length > this.settings.particleCount * 2) {
+                this.particles = this.particles.slice(-this.settings.particleCount * 2);
             }
         }
 
         /**
-         * Обработка изменения размера окна
+         * Подключает силу из реестра
+         * @param {string} name - имя зарегистрированной силы
+         * @param {Object} options - параметры поверх значений по умолчанию
+         * @returns {number} - идентификатор для configureForce/removeForce
          */
-        handleResize() {
-            this.canvas.width = window.innerWidth;
-            this.canvas.height = window.innerHeight;
+        addForce(name, options = {}) {
+            const definition = forceRegistry.get(name);
+            if (!definition) {
+                throw new Error(`Unknown particle force: ${name}`);
+            }
+            
+            const id = this.nextPluginId++;
+            this.forces.push({
+                id,
+                name,
+                definition,
+                enabled: true,
+                options: { ...definition.defaults, ...options }
+            });
+            return id;
         }
 
         /**
-         * Применение сил взаимодействия с курсором
+         * Меняет параметры подключенной силы на лету
+         * @param {number} id - идентификатор силы
+         * @param {Object} options - новые параметры (enabled: false временно отключает силу)
+         * @returns {boolean} - true если сила найдена
          */
-        applyMouseForces() {
-            if (!this.isMouseOver) return;
+        configureForce(id, options = {}) {
+            const force = this.forces.find(item => item.id === id);
+            if (!force) return false;
+            
+            const { enabled, ...rest } = options;
+            if (enabled !== undefined) force.enabled = Boolean(enabled);
+            Object.assign(force.options, rest);
+            return true;
+        }
 
+        /**
+         * Отключает силу
+         * @param {number} id - идентификатор силы
+         * @returns {boolean} - true если сила была удалена
+         */
+        removeForce(id) {
+            const count = this.forces.length;
+            this.forces = this.forces.filter(item => item.id !== id);
+            return this.forces.length !== count;
+        }
+
+        /**
+         * Однократно запускает эмиттер
+         * @param {string} name - имя зарегистрированного эмиттера
+         * @param {Object} options - параметры поверх значений по умолчанию
+         * @returns {Array<Particle>} - созданные частицы
+         */
+        emit(name, options = {}) {
+            const definition = emitterRegistry.get(name);
+            if (!definition) {
+                throw new Error(`Unknown particle emitter: ${name}`);
+            }
+            
+            const particles = definition.emit(this, { ...definition.defaults, ...options }, {}, 0) || [];
+            this.addParticles(particles);
+            return particles;
+        }
+
+        /**
+         * Подключает постоянный эмиттер
+         * Непрерывные эмиттеры (stream) работают каждый кадр, остальные — раз в options.interval мс
+         * @param {string} name - имя зарегистрированного эмиттера
+         * @param {Object} options - параметры поверх значений по умолчанию
+         * @returns {number} - идентификатор для configureEmitter/removeEmitter
+         */
+        addEmitter(name, options = {}) {
+            const definition = emitterRegistry.get(name);
+            if (!definition) {
+                throw new Error(`Unknown particle emitter: ${name}`);
+            }
+            
+            const id = this.nextPluginId++;
+            this.emitters.push({
+                id,
+                name,
+                definition,
+                enabled: true,
+                state: {},
+                elapsed: 0,
+                options: { interval: 1000, ...definition.defaults, ...options }
+            });
+            return id;
+        }
+
+        /**
+         * Меняет параметры постоянного эмиттера на лету
+         * @param {number} id - идентификатор эмиттера
+         * @param {Object} options - новые параметры (enabled: false приостанавливает эмиттер)
+         * @returns {boolean} - true если эмиттер найден
+         */
+        configureEmitter(id, options = {}) {
+            const emitter = this.emitters.find(item => item.id === id);
+            if (!emitter) return false;
+            
+            const { enabled, ...rest } = options;
+            if (enabled !== undefined) emitter.enabled = Boolean(enabled);
+            Object.assign(emitter.options, rest);
+            return true;
+        }
+
+        /**
+         * Отключает постоянный эмиттер
+         * @param {number} id - идентификатор эмиттера
+         * @returns {boolean} - true если эмиттер был удалён
+         */
+        removeEmitter(id) {
+            const count = this.emitters.length;
+            this.emitters = this.emitters.filter(item => item.id !== id);
+            return this.emitters.length !== count;
+        }
+
+        /**
+         * Применение всех активных сил к частицам
+         * @param {number} time - текущее время кадра
+         */
+        applyForces(time) {
+            const active = this.forces.filter(force => force.enabled);
+            if (active.length === 0) return;
+            
+            active.forEach(force => {
+                if (force.definition.prepare) {
+                    force.definition.prepare(force.options, this, time);
+                }
+            });
+            
             this.particles.forEach(particle => {
-                const dx = this.mouseX - particle.x;
-                const dy = this.mouseY - particle.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-
-                if (distance < PARTICLE_CONFIG.mouse.repulsionRadius) {
-                    // Сила отталкивания
-                    const force = PARTICLE_CONFIG.mouse.repulsionForce * (1 - distance / PARTICLE_CONFIG.mouse.repulsionRadius);
-                    const angle = Math.atan2(dy, dx);
-                    particle.applyForce(
-                        Math.cos(angle) * force,
-                        Math.sin(angle) * force
-                    );
-                } else if (distance < PARTICLE_CONFIG.mouse.attractionRadius) {
-                    // Сила притяжения
-                    const force = PARTICLE_CONFIG.mouse.attractionForce * (distance / PARTICLE_CONFIG.mouse.attractionRadius);
-                    const angle = Math.atan2(dy, dx);
-                    particle.applyForce(
-                        Math.cos(angle) * force,
-                        Math.sin(angle) * force
-                    );
+                for (let i = 0; i < active.length; i++) {
+                    active[i].definition.apply(particle, active[i].options, this);
                 }
             });
         }
 
         /**
-         * Обновление соединительных линий между частицами
+         * Обновление постоянных эмиттеров
+         * @param {number} dt - время с прошлого кадра в мс
          */
-        updateConnections() {
-            // Очистка соединений
-            this.particles.forEach(particle => {
-                particle.connections = [];
+        updateEmitters(dt) {
+            this.emitters.forEach(emitter => {
+                if (!emitter.enabled) return;
+                
+                const { definition, options, state } = emitter;
+                
+                if (definition.continuous) {
+                    this.addParticles(definition.emit(this, options, state, dt));
+                    return;
+                }
+                
+                emitter.elapsed += dt;
+                if (emitter.elapsed >= options.interval) {
+                    emitter.elapsed = 0;
+                    this.addParticles(definition.emit(this, options, state, dt));
+                }
             });
+        }
 
-            // Поиск близлежащих частиц и создание соединений
-            for (let i = 0; i < this.particles.length; i++) {
-                for (let j = i + 1; j < this.particles.length; j++) {
-                    const p1 = this.particles[i];
-                    const p2 = this.particles[j];
-                    const dx = p1.x - p2.x;
-                    const dy = p1.y - p2.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-
-                    if (distance < PARTICLE_CONFIG.connectionDistance) {
-                        p1.connections.push({
-                            particle: p2,
-                            distance: distance
-                        });
-                    }
+        /**
+         * Обработка изменения размера окна
+         * @param {number} [width] - новая ширина (по умолчанию — ширина окна)
+         * @param {number} [height] - новая высота (по умолчанию — высота окна)
+         */
+        handleResize(width = root.innerWidth || viewport.width, height = root.innerHeight || viewport.height) {
+            const dpr = this.settings.dpr;
+            
+            setViewport(width, height);
+            this.canvas.width = Math.round(width * dpr);
+            this.canvas.height = Math.round(height * dpr);
+            
+            // Рисуем в CSS-пикселях независимо от плотности буфера
+            this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        }
+
+        /**
+         * Применяет уровень качества (например, от KoridorQuality)
+         * @param {Object} settings - { particleCount, connectionDistance, connections, dpr }
+         */
+        setQuality(settings = {}) {
+            const previousCount = this.settings.particleCount;
+            const previousDpr = this.settings.dpr;
+            
+            Object.keys(this.settings).forEach(key => {
+                if (settings[key] !== undefined) {
+                    this.settings[key] = settings[key];
                 }
+            });
+            
+            const count = this.settings.particleCount;
+            if (count > previousCount) {
+                this.initParticles(count - previousCount);
+            } else if (this.particles.length > count) {
+                this.particles = this.particles.slice(-count);
+            }
+            
+            if (this.settings.dpr !== previousDpr) {
+                this.handleResize(viewport.width, viewport.height);
+            }
+        }
+
+        /**
+         * Меняет палитру частиц и перекрашивает уже существующие
+         * Палитра общая для модуля: на странице работает одна система частиц
+         * @param {Array<string>} colors - CSS-цвета
+         * @returns {boolean} - true если палитра применена
+         */
+        setPalette(colors) {
+            const palette = Array.isArray(colors)
+                ? colors.filter(color => typeof color === 'string' && color.length > 0)
+                : [];
+            
+            if (palette.length === 0) {
+                console.warn('Particle palette must contain at least one color');
+                return false;
+            }
+            
+            PARTICLE_CONFIG.colors = palette;
+            this.particles.forEach(particle => {
+                particle.color = palette[Math.floor(Math.random() * palette.length)];
+            });
+            return true;
+        }
+
+        /**
+         * Обновляет позицию курсора для силы "mouse"
+         * Сама сила применяется в общем цикле вместе с остальными плагинами
+         * @param {number} [x] - координата X курсора
+         * @param {number} [y] - координата Y курсора
+         */
+        applyMouseForces(x, y) {
+            if (x === undefined || y === undefined) return;
+            
+            this.lastMouseX = this.mouseX;
+            this.lastMouseY = this.mouseY;
+            this.mouseX = x;
+            this.mouseY = y;
+            this.isMouseOver = true;
+        }
+
+        /**
+         * Обновление соединительных линий между частицами
+         * Соседи ищутся через пространственную сетку, а не полным перебором пар
+         */
+        updateConnections() {
+            const distance = this.settings.connectionDistance;
+            const buckets = this.connectionBuckets;
+            const levels = buckets.length;
+            const particles = this.particles;
+
+            // Очистка корзин без новых аллокаций
+            for (let b = 0; b < levels; b++) {
+                buckets[b].length = 0;
             }
+
+            // Размер ячейки сетки следует за текущим радиусом соединений
+            this.grid.cellSize = distance;
+
+            this.grid.build(particles, viewport.width, viewport.height);
+
+            // Каждая пара попадает в корзину по своей прозрачности (как раньше — по первой частице)
+            this.grid.forEachPair(particles, distance, (i, j, length) => {
+                const alpha = (1 - length / distance) * particles[i].alpha;
+                if (alpha <= 0) return;
+
+                const bucket = Math.min(levels - 1, Math.floor(alpha * levels));
+                buckets[bucket].push(particles[i], particles[j]);
+            });
         }
 
         /**
          * Основной цикл анимации
          */
-        animate() {
+        animate(time = performance.now()) {
+            const dt = this.lastFrameTime === null ? 0 : Math.min(time - this.lastFrameTime, 100);
+            this.lastFrameTime = time;
+
             // Очистка canvas
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.clearRect(0, 0, viewport.width, viewport.height);
 
-            // Применение сил от курсора
-            this.applyMouseForces();
+            // Постоянные эмиттеры
+            this.updateEmitters(dt);
+
+            // Применение подключенных сил
+            this.applyForces(time);
 
             // Обновление всех частиц
             this.particles = this.particles.filter(particle => {
@@ -319,39 +1062,49 @@
                 return !particle.isDead();
             });
 
-            // Обновление соединений
-            this.updateConnections();
+            // Соединения можно отключить на слабых устройствах
+            if (this.settings.connections && this.settings.connectionDistance > 0) {
+                // Обновление соединений
+                this.updateConnections();
 
-            // Отрисовка соединительных линий
-            this.drawConnections();
+                // Отрисовка соединительных линий
+                this.drawConnections();
+            }
 
             // Отрисовка частиц
             this.particles.forEach(particle => {
                 particle.draw(this.ctx);
             });
 
-            requestAnimationFrame(() => this.animate());
+            if (this.isRunning) {
+                this.rafId = requestAnimationFrame(this.frame);
+            }
         }
 
         /**
          * Отрисовка соединительных линий
          */
         drawConnections() {
+            const buckets = this.connectionBuckets;
+            const levels = buckets.length;
+
             this.ctx.save();
             this.ctx.strokeStyle = 'rgba(139, 115, 85, 0.1)'; // #8B7355 с прозрачностью
             this.ctx.lineWidth = 0.5;
 
-            this.particles.forEach(particle => {
-                particle.connections.forEach(connection => {
-                    const opacity = 1 - (connection.distance / PARTICLE_CONFIG.connectionDistance);
-                    this.ctx.globalAlpha = opacity * 0.3 * particle.alpha;
-                    
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(particle.x, particle.y);
-                    this.ctx.lineTo(connection.particle.x, connection.particle.y);
-                    this.ctx.stroke();
-                });
-            });
+            // Один stroke на уровень прозрачности вместо одного на линию
+            for (let b = 0; b < levels; b++) {
+                const segments = buckets[b];
+                if (segments.length === 0) continue;
+
+                this.ctx.globalAlpha = ((b + 0.5) / levels) * 0.3;
+                this.ctx.beginPath();
+                for (let k = 0; k < segments.length; k += 2) {
+                    this.ctx.moveTo(segments[k].x, segments[k].y);
+                    this.ctx.lineTo(segments[k + 1].x, segments[k + 1].y);
+                }
+                this.ctx.stroke();
+            }
 
             this.ctx.restore();
         }
@@ -360,22 +1113,363 @@
          * Запуск системы частиц
          */
         start() {
+            if (this.isDestroyed || this.isRunning) return;
+            
             this.handleResize();
-            this.animate();
+            this.isRunning = true;
+            this.isAutoPaused = false;
+            this.lastFrameTime = null;
+            this.rafId = requestAnimationFrame(this.frame);
         }
 
         /**
-         * Остановка системы частиц
+         * Остановка системы частиц (синоним pause)
          */
         stop() {
-            // Метод для остановки анимации, если потребуется
+            this.pause();
+        }
+
+        /**
+         * Приостанавливает цикл анимации, сохраняя частицы и подписки
+         */
+        pause() {
+            this.isRunning = false;
+            this.isAutoPaused = false;
+            
+            if (this.rafId !== null) {
+                cancelAnimationFrame(this.rafId);
+                this.rafId = null;
+            }
+        }
+
+        /**
+         * Возобновляет цикл анимации после pause()
+         * Время паузы не учитывается, поэтому эмиттеры не выбрасывают накопленные частицы
+         */
+        resume() {
+            if (this.isDestroyed || this.isRunning) return;
+            
+            this.isRunning = true;
+            this.isAutoPaused = false;
+            this.lastFrameTime = null;
+            this.rafId = requestAnimationFrame(this.frame);
+        }
+
+        /**
+         * Полностью освобождает ресурсы: цикл, обработчики, частицы и собственный canvas
+         */
+        destroy() {
+            if (this.isDestroyed) return;
+            
+            this.pause();
+            this.removeEventListeners();
+            this.particles = [];
+            this.forces = [];
+            this.emitters = [];
+            this.connectionBuckets.forEach(bucket => {
+                bucket.length = 0;
+            });
+            this.ctx.clearRect(0, 0, viewport.width, viewport.height);
+            
+            // Canvas, созданный initParticleSystem(), удаляется вместе с системой
+            if (this.ownsCanvas && this.canvas.parentNode) {
+                this.canvas.parentNode.removeChild(this.canvas);
+            }
+            
+            this.isDestroyed = true;
         }
     }
 
+    /**
+     * Проверяет, можно ли вынести частицы в Web Worker
+     * @returns {boolean} - true если доступны Worker и OffscreenCanvas
+     */
+    function supportsWorkerBackend() {
+        return typeof Worker !== 'undefined' &&
+               typeof OffscreenCanvas !== 'undefined' &&
+               typeof HTMLCanvasElement !== 'undefined' &&
+               typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+    }
+
+    /**
+     * Возвращает адрес скрипта воркера рядом с particles.js
+     * @returns {string} - URL скрипта воркера
+     */
+    function getDefaultWorkerUrl() {
+        const base = scriptSrc || (root.location ? root.location.href : '');
+        return new URL(PARTICLE_CONFIG.worker.scriptName, base).href;
+    }
+
+    /**
+     * Прокси системы частиц, работающей в Web Worker на OffscreenCanvas
+     * Повторяет публичный интерфейс ParticleSystem; физика и отрисовка идут в воркере,
+     * а события курсора, клики и изменения размера окна пересылаются через postMessage
+     */
+    class WorkerParticleSystem {
+        /**
+         * @param {HTMLCanvasElement} canvas - canvas на странице
+         * @param {Object} options - композиция плагинов и параметры воркера
+         * @param {string} [options.workerUrl] - адрес скрипта воркера
+         * @param {Array<string>} [options.workerScripts] - скрипты с дополнительными плагинами для воркера
+         */
+        constructor(canvas, options = {}) {
+            this.canvas = canvas;
+            this.ownsCanvas = false;
+            this.isRunning = false;
+            this.isAutoPaused = false;
+            this.isDestroyed = false;
+            this.listeners = [];
+            this.nextPluginId = 1;
+
+            const { workerUrl, workerScripts, ...systemOptions } = options;
+            const offscreen = canvas.transferControlToOffscreen();
+
+            this.worker = new Worker(workerUrl || getDefaultWorkerUrl());
+            this.worker.addEventListener('error', (e) => {
+                console.error('Particle worker error:', e.message || e);
+            });
+
+            this.worker.postMessage({
+                type: 'init',
+                canvas: offscreen,
+                width: root.innerWidth,
+                height: root.innerHeight,
+                scripts: workerScripts || [],
+                options: systemOptions
+            }, [offscreen]);
+
+            this.setupEventListeners();
+        }
+
+        /**
+         * Отправляет вызов метода системе в воркере
+         * @param {string} method - имя метода ParticleSystem
+         * @param {Array} args - аргументы (должны поддерживать structured clone)
+         * @param {number} [id] - идентификатор плагина, выданный на стороне страницы
+         */
+        call(method, args = [], id) {
+            if (this.isDestroyed) return;
+            this.worker.postMessage({ type: 'call', method, args, id });
+        }
+
+        /**
+         * Пересылка событий страницы в воркер
+         */
+        setupEventListeners() {
+            this.listen(document, 'mousemove', (e) => {
+                this.applyMouseForces(e.clientX, e.clientY);
+            });
+
+            this.listen(document, 'mouseleave', () => {
+                this.worker.postMessage({ type: 'pointer', over: false });
+            });
+
+            this.listen(document, 'mouseenter', () => {
+                this.worker.postMessage({ type: 'pointer', over: true });
+            });
+
+            this.listen(document, 'click', (e) => {
+                this.createExplosion(e.clientX, e.clientY);
+            });
+
+            this.listen(window, 'resize', () => {
+                this.handleResize();
+            });
+
+            this.listen(document, 'visibilitychange', () => {
+                if (document.hidden) {
+                    if (this.isRunning) {
+                        this.pause();
+                        this.isAutoPaused = true;
+                    }
+                } else if (this.isAutoPaused) {
+                    this.resume();
+                }
+            });
+        }
+
+        /**
+         * Сообщает воркеру новые размеры окна
+         */
+        handleResize() {
+            this.worker.postMessage({ type: 'resize', width: root.innerWidth, height: root.innerHeight });
+        }
+
+        /**
+         * Пересылает позицию курсора в воркер
+         * @param {number} x - координата X курсора
+         * @param {number} y - координата Y курсора
+         */
+        applyMouseForces(x, y) {
+            if (x === undefined || y === undefined) return;
+            this.worker.postMessage({ type: 'pointer', x, y, over: true });
+        }
+
+        /**
+         * Применяет уровень качества в воркере
+         * @param {Object} settings - { particleCount, connectionDistance, connections, dpr }
+         */
+        setQuality(settings = {}) {
+            this.call('setQuality', [settings]);
+        }
+
+        /**
+         * Меняет палитру частиц в воркере
+         * @param {Array<string>} colors - CSS-цвета
+         * @returns {boolean} - всегда true: результат известен только воркеру
+         */
+        setPalette(colors) {
+            this.call('setPalette', [colors]);
+            return true;
+        }
+
+        /**
+         * Создание эффекта взрыва частиц в воркере
+         * @param {number} x - координата X взрыва
+         * @param {number} y - координата Y взрыва
+         */
+        createExplosion(x, y) {
+            this.call('createExplosion', [x, y]);
+        }
+
+        /**
+         * Однократно запускает эмиттер в воркере
+         * @param {string} name - имя эмиттера
+         * @param {Object} options - параметры эмиттера
+         */
+        emit(name, options = {}) {
+            this.call('emit', [name, options]);
+        }
+
+        /**
+         * Подключает силу в воркере
+         * @param {string} name - имя силы
+         * @param {Object} options - параметры силы
+         * @returns {number} - идентификатор на стороне страницы
+         */
+        addForce(name, options = {}) {
+            const id = this.nextPluginId++;
+            this.call('addForce', [name, options], id);
+            return id;
+        }
+
+        /**
+         * Меняет параметры силы в воркере
+         * @param {number} id - идентификатор из addForce
+         * @param {Object} options - новые параметры
+         * @returns {boolean} - всегда true: результат известен только воркеру
+         */
+        configureForce(id, options = {}) {
+            this.call('configureForce', [options], id);
+            return true;
+        }
+
+        /**
+         * Отключает силу в воркере
+         * @param {number} id - идентификатор из addForce
+         * @returns {boolean} - всегда true: результат известен только воркеру
+         */
+        removeForce(id) {
+            this.call('removeForce', [], id);
+            return true;
+        }
+
+        /**
+         * Подключает постоянный эмиттер в воркере
+         * @param {string} name - имя эмиттера
+         * @param {Object} options - параметры эмиттера
+         * @returns {number} - идентификатор на стороне страницы
+         */
+        addEmitter(name, options = {}) {
+            const id = this.nextPluginId++;
+            this.call('addEmitter', [name, options], id);
+            return id;
+        }
+
+        /**
+         * Меняет параметры эмиттера в воркере
+         * @param {number} id - идентификатор из addEmitter
+         * @param {Object} options - новые параметры
+         * @returns {boolean} - всегда true: результат известен только воркеру
+         */
+        configureEmitter(id, options = {}) {
+            this.call('configureEmitter', [options], id);
+            return true;
+        }
+
+        /**
+         * Отключает эмиттер в воркере
+         * @param {number} id - идентификатор из addEmitter
+         * @returns {boolean} - всегда true: результат известен только воркеру
+         */
+        removeEmitter(id) {
+            this.call('removeEmitter', [], id);
+            return true;
+        }
+
+        /**
+         * Запуск системы частиц в воркере
+         */
+        start() {
+            if (this.isDestroyed || this.isRunning) return;
+            this.isRunning = true;
+            this.call('start');
+        }
+
+        /**
+         * Остановка системы частиц (синоним pause)
+         */
+        stop() {
+            this.pause();
+        }
+
+        /**
+         * Приостанавливает цикл анимации в воркере
+         */
+        pause() {
+            this.isRunning = false;
+            this.isAutoPaused = false;
+            this.call('pause');
+        }
+
+        /**
+         * Возобновляет цикл анимации в воркере
+         */
+        resume() {
+            if (this.isDestroyed || this.isRunning) return;
+            this.isRunning = true;
+            this.isAutoPaused = false;
+            this.call('resume');
+        }
+
+        /**
+         * Завершает воркер, снимает обработчики и удаляет собственный canvas
+         */
+        destroy() {
+            if (this.isDestroyed) return;
+
+            this.isDestroyed = true;
+            this.isRunning = false;
+            this.worker.terminate();
+            this.removeEventListeners();
+
+            if (this.ownsCanvas && this.canvas.parentNode) {
+                this.canvas.parentNode.removeChild(this.canvas);
+            }
+        }
+    }
+
+    // Подписки прокси устроены так же, как у основной системы
+    WorkerParticleSystem.prototype.listen = ParticleSystem.prototype.listen;
+    WorkerParticleSystem.prototype.removeEventListeners = ParticleSystem.prototype.removeEventListeners;
+
     /**
      * Инициализация системы частиц при загрузке страницы
+     * @param {Object} options - композиция сил и эмиттеров (см. ParticleSystem)
+     * @param {boolean} [options.worker] - вынести физику и отрисовку в Web Worker, если браузер умеет
+     * @returns {ParticleSystem|WorkerParticleSystem} - запущенная система частиц
      */
-    function initParticleSystem() {
+    function initParticleSystem(options = {}) {
         const canvas = document.createElement('canvas');
         canvas.id = 'particle-canvas';
         canvas.style.position = 'fixed';
@@ -388,18 +1482,38 @@
         
         document.body.appendChild(canvas);
         
-        const particleSystem = new ParticleSystem(canvas);
+        const { worker, ...systemOptions } = options;
+        let particleSystem;
+        
+        if (worker && supportsWorkerBackend()) {
+            particleSystem = new WorkerParticleSystem(canvas, systemOptions);
+        } else {
+            if (worker) {
+                console.warn('OffscreenCanvas is not supported, particles run on the main thread');
+            }
+            particleSystem = new ParticleSystem(canvas, systemOptions);
+        }
+        
+        particleSystem.ownsCanvas = true;
         particleSystem.start();
         
         // Возврат объекта для возможного взаимодействия извне
         return particleSystem;
     }
 
-    // Экспорт системы частиц
-    window.ParticleSystem = {
+    // Экспорт системы частиц (на странице — window, в воркере — self)
+    root.ParticleSystem = {
         init: initParticleSystem,
+        supportsWorkerBackend,
+        setViewport,
+        registerForce,
+        registerEmitter,
+        getForces: () => Array.from(forceRegistry.keys()),
+        getEmitters: () => Array.from(emitterRegistry.keys()),
         Particle,
         ParticleSystem,
+        WorkerParticleSystem,
+        SpatialGrid,
         PARTICLE_CONFIG
     };
 
@@ -0,0 +1,312 @@
+/**
+ * Push-уведомления для проекта Коридор
+ * После завершённого перехода предлагает подписаться на уведомления о новых коридорах
+ * (или отключить их) и передаёт подписку серверу рассылки
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const PUSH_CONFIG = {
+        // Публичный VAPID-ключ сервера: <meta name="koridor-vapid-public-key" content="...">
+        publicKeyMeta: 'koridor-vapid-public-key',
+
+        // Куда отправлять подписку: <meta name="koridor-push-endpoint" content="...">
+        subscriptionEndpointMeta: 'koridor-push-endpoint',
+
+        // Отказ от предложения запоминается на 30 дней
+        dismissKey: 'koridor:push-prompt-dismissed',
+        dismissTtl: 30 * 24 * 60 * 60 * 1000,
+
+        // Пауза после возвращения страницы в исходный вид (мс)
+        promptDelay: 600,
+
+        // Тексты карточки
+        text: {
+            offer: 'Сообщать о новых коридорах?',
+            subscribed: 'Уведомления о новых коридорах включены',
+            subscribe: 'Подписаться',
+            unsubscribe: 'Отключить',
+            later: 'Не сейчас',
+            close: 'Закрыть'
+        }
+    };
+
+    // Отличия карточки от общих стилей .koridor-toast из KoridorUtils
+    const CARD_STYLES = `
+        .koridor-push-card button:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+    `;
+
+    // --- Состояние ---
+    let card = null;
+    let promptTimer = null;
+    let managePromptShown = false;
+
+    /**
+     * Читает значение meta-тега страницы
+     * @param {string} name - имя meta-тега
+     * @returns {string|null} - значение или null
+     */
+    function getMeta(name) {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        const content = meta ? meta.getAttribute('content').trim() : '';
+        return content || null;
+    }
+
+    /**
+     * Проверяет, что браузер поддерживает push и на странице указан ключ сервера
+     * @returns {boolean} - true если подписка возможна
+     */
+    function isSupported() {
+        return 'serviceWorker' in navigator &&
+            'PushManager' in window &&
+            'Notification' in window &&
+            Boolean(getMeta(PUSH_CONFIG.publicKeyMeta));
+    }
+
+    /**
+     * Преобразует ключ из base64url в байты для pushManager.subscribe
+     * @param {string} value - ключ в base64url
+     * @returns {Uint8Array} - байты ключа
+     */
+    function urlBase64ToUint8Array(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Возвращает текущую подписку
+     * @returns {Promise<PushSubscription|null>} - подписка или null
+     */
+    function getSubscription() {
+        if (!isSupported()) return Promise.resolve(null);
+
+        return navigator.serviceWorker.ready.then(reg => reg.pushManager.getSubscription());
+    }
+
+    /**
+     * Передаёт подписку серверу рассылки
+     * Без адреса сервера подписка остаётся только в браузере
+     * @param {string} method - 'POST' для подписки, 'DELETE' для отписки
+     * @param {PushSubscription} subscription - подписка
+     * @returns {Promise<void>}
+     */
+    function sendSubscription(method, subscription) {
+        const endpoint = getMeta(PUSH_CONFIG.subscriptionEndpointMeta);
+
+        if (!endpoint) return Promise.resolve();
+
+        return fetch(new URL(endpoint, document.baseURI).href, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(subscription)
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Push endpoint responded with ${response.status}`);
+            }
+        });
+    }
+
+    /**
+     * Запрашивает разрешение и подписывает браузер на уведомления
+     * @returns {Promise<PushSubscription|null>} - подписка или null при отказе
+     */
+    function subscribe() {
+        if (!isSupported()) return Promise.resolve(null);
+
+        return Notification.requestPermission().then(permission => {
+            if (permission !== 'granted') return null;
+
+            return navigator.serviceWorker.ready.then(reg => reg.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(getMeta(PUSH_CONFIG.publicKeyMeta))
+            })).then(subscription => {
+                return sendSubscription('POST', subscription).then(() => subscription);
+            });
+        });
+    }
+
+    /**
+     * Отменяет подписку в браузере и на сервере
+     * @returns {Promise<boolean>} - true если подписка была отменена
+     */
+    function unsubscribe() {
+        return getSubscription().then(subscription => {
+            if (!subscription) return false;
+
+            // Сервер узнаёт об отписке до того, как подписка станет недействительной
+            return sendSubscription('DELETE', subscription)
+                .catch(error => console.warn('Failed to remove push subscription on server:', error))
+                .then(() => subscription.unsubscribe());
+        });
+    }
+
+    /**
+     * Проверяет, отказывался ли пользователь от предложения недавно
+     * @returns {boolean} - true если предложение не нужно показывать
+     */
+    function isDismissed() {
+        const utils = window.KoridorUtils;
+        const dismissedAt = utils ? utils.getLocalStorage(PUSH_CONFIG.dismissKey) : null;
+        return typeof dismissedAt === 'number' && Date.now() - dismissedAt < PUSH_CONFIG.dismissTtl;
+    }
+
+    /**
+     * Запоминает отказ от предложения
+     */
+    function rememberDismissal() {
+        if (window.KoridorUtils) {
+            window.KoridorUtils.setLocalStorage(PUSH_CONFIG.dismissKey, Date.now());
+        }
+    }
+
+    /**
+     * Создаёт кнопку карточки
+     * @param {string} label - текст кнопки
+     * @param {Function} onClick - обработчик нажатия
+     * @param {boolean} [primary] - основное действие
+     * @returns {HTMLButtonElement} - кнопка
+     */
+    function createButton(label, onClick, primary = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        if (primary) button.dataset.primary = '';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Показывает карточку с сообщением и действиями
+     * @param {string} message - текст карточки
+     * @param {Array<HTMLButtonElement>} buttons - кнопки действий
+     */
+    function showCard(message, buttons) {
+        const utils = window.KoridorUtils;
+        if (utils) {
+            utils.injectToastStyles();
+            utils.injectStyles('koridor-push-card-styles', CARD_STYLES);
+        }
+
+        if (!card) {
+            card = document.createElement('div');
+            card.className = 'koridor-toast koridor-push-card';
+            card.setAttribute('role', 'status');
+            card.setAttribute('aria-live', 'polite');
+            document.body.appendChild(card);
+        }
+
+        const text = document.createElement('span');
+        text.textContent = message;
+
+        const actions = document.createElement('div');
+        actions.className = 'koridor-toast__actions';
+        actions.append(...buttons);
+
+        card.replaceChildren(text, actions);
+        card.hidden = false;
+    }
+
+    /**
+     * Прячет карточку
+     */
+    function hideCard() {
+        if (card) card.hidden = true;
+    }
+
+    /**
+     * Выполняет действие карточки, блокируя кнопки до его завершения
+     * @param {Function} action - действие, возвращающее Promise
+     * @returns {Function} - обработчик нажатия
+     */
+    function runFromCard(action) {
+        return () => {
+            card.querySelectorAll('button').forEach(button => {
+                button.disabled = true;
+            });
+
+            action()
+                .catch(error => console.error('Push subscription update failed:', error))
+                .then(hideCard);
+        };
+    }
+
+    /**
+     * Предлагает подписку или её отключение в зависимости от текущего состояния
+     * @returns {Promise<void>}
+     */
+    function showPrompt() {
+        if (!isSupported() || Notification.permission === 'denied') return Promise.resolve();
+
+        return getSubscription().then(subscription => {
+            if (subscription) {
+                // Отключить уведомления предлагаем не чаще раза за визит
+                if (managePromptShown) return;
+                managePromptShown = true;
+
+                showCard(PUSH_CONFIG.text.subscribed, [
+                    createButton(PUSH_CONFIG.text.unsubscribe, runFromCard(unsubscribe)),
+                    createButton(PUSH_CONFIG.text.close, hideCard, true)
+                ]);
+                return;
+            }
+
+            if (isDismissed()) return;
+
+            showCard(PUSH_CONFIG.text.offer, [
+                createButton(PUSH_CONFIG.text.subscribe, runFromCard(subscribe), true),
+                createButton(PUSH_CONFIG.text.later, () => {
+                    rememberDismissal();
+                    hideCard();
+                })
+            ]);
+        }).catch(error => {
+            console.warn('Push prompt is unavailable:', error);
+        });
+    }
+
+    /**
+     * Показывает карточку, когда страница вернулась после перехода
+     */
+    function handleTransitionComplete() {
+        clearTimeout(promptTimer);
+        promptTimer = setTimeout(showPrompt, PUSH_CONFIG.promptDelay);
+    }
+
+    /**
+     * Передаёт серверу подписку, которую воркер обновил по pushsubscriptionchange
+     * @param {MessageEvent} event - сообщение воркера
+     */
+    function handleWorkerMessage(event) {
+        const message = event.data || {};
+        if (message.type !== 'PUSH_SUBSCRIPTION_CHANGED') return;
+
+        sendSubscription('POST', message.payload)
+            .catch(error => console.warn('Failed to update push subscription on server:', error));
+    }
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    }
+
+    const transitionEvent = window.KoridorMain
+        ? window.KoridorMain.TRANSITION_COMPLETE_EVENT
+        : 'koridor:transition-complete';
+    window.addEventListener(transitionEvent, handleTransitionComplete);
+
+    // Экспорт push-уведомлений
+    window.KoridorPush = {
+        isSupported,
+        getSubscription,
+        subscribe,
+        unsubscribe,
+        showPrompt,
+        PUSH_CONFIG
+    };
+
+})();
@@ -0,0 +1,207 @@
+/**
+ * Адаптивное качество эффектов для проекта Коридор
+ * Следит за временем кадра и переключает уровни качества частиц и маскота с гистерезисом
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const QUALITY_CONFIG = {
+        // Порог понижения: среднее время кадра выше ~50 fps
+        downgradeFrameTime: 20,
+
+        // Порог повышения: среднее время кадра ниже ~58 fps
+        upgradeFrameTime: 17.2,
+
+        // Сколько держится плохой/хороший кадр, прежде чем менять уровень (мс)
+        downgradeAfter: 2000,
+        upgradeAfter: 6000,
+
+        // Пауза после смены уровня, чтобы измерения успели устояться (мс)
+        cooldown: 3000,
+
+        // Коэффициент сглаживания экспоненциального среднего
+        smoothing: 0.1,
+
+        // Кадры длиннее этого (фоновая вкладка, отладчик) не учитываются
+        maxFrameTime: 250,
+
+        // Имя события, в котором публикуется текущий уровень
+        eventName: 'koridor:quality'
+    };
+
+    // Максимальная плотность пикселей, которую имеет смысл рисовать
+    const MAX_DPR = Math.min(window.devicePixelRatio || 1, 2);
+
+    /**
+     * Уровни качества от лучшего к худшему
+     * followerInterval — минимальный интервал (мс) между твинами маскота на mousemove
+     */
+    const TIERS = [
+        { name: 'ultra', particleCount: 80, connectionDistance: 150, connections: true, dpr: MAX_DPR, followerInterval: 0 },
+        { name: 'high', particleCount: 50, connectionDistance: 150, connections: true, dpr: Math.min(MAX_DPR, 1.5), followerInterval: 0 },
+        { name: 'medium', particleCount: 35, connectionDistance: 110, connections: true, dpr: 1, followerInterval: 16 },
+        { name: 'low', particleCount: 20, connectionDistance: 80, connections: false, dpr: 1, followerInterval: 33 },
+        { name: 'minimal', particleCount: 10, connectionDistance: 0, connections: false, dpr: 0.75, followerInterval: 50 }
+    ];
+
+    // --- Состояние ---
+    const listeners = new Set();
+    let tierIndex = getInitialTierIndex();
+    let averageFrameTime = 1000 / 60;
+    let lastFrameTime = null;
+    let slowSince = null;
+    let fastSince = null;
+    let lastChange = 0;
+    let rafId = null;
+
+    /**
+     * Выбирает стартовый уровень по подсказкам об устройстве
+     * @returns {number} - индекс уровня
+     */
+    function getInitialTierIndex() {
+        const cores = navigator.hardwareConcurrency || 4;
+        const memory = navigator.deviceMemory || 4;
+        const isMobile = window.KoridorUtils ? window.KoridorUtils.isMobile() : false;
+
+        if (cores <= 2 || memory <= 1) return 3;
+        if (isMobile || cores <= 4 || memory <= 2) return 2;
+        return 1;
+    }
+
+    /**
+     * Возвращает текущий уровень качества
+     * @returns {Object} - копия описания уровня с индексом
+     */
+    function getTier() {
+        return { ...TIERS[tierIndex], index: tierIndex };
+    }
+
+    /**
+     * Переключает уровень и оповещает подписчиков
+     * @param {number|string} tier - индекс или имя уровня
+     * @returns {boolean} - true если уровень изменился
+     */
+    function setTier(tier) {
+        const index = typeof tier === 'string'
+            ? TIERS.findIndex(item => item.name === tier)
+            : tier;
+
+        if (index < 0 || index >= TIERS.length || index === tierIndex) return false;
+
+        const previous = getTier();
+        tierIndex = index;
+        lastChange = performance.now();
+        slowSince = null;
+        fastSince = null;
+
+        const detail = { tier: getTier(), previous };
+
+        listeners.forEach(listener => {
+            try {
+                listener(detail.tier, detail.previous);
+            } catch (error) {
+                console.error('Quality listener failed:', error);
+            }
+        });
+
+        window.dispatchEvent(new CustomEvent(QUALITY_CONFIG.eventName, { detail }));
+        return true;
+    }
+
+    /**
+     * Подписывается на смену уровня качества
+     * @param {Function} listener - (tier, previous) => void
+     * @returns {Function} - функция отписки
+     */
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Обрабатывает очередной кадр: обновляет среднее и решает, менять ли уровень
+     * @param {number} now - время кадра
+     */
+    function sample(now) {
+        rafId = requestAnimationFrame(sample);
+
+        if (lastFrameTime === null) {
+            lastFrameTime = now;
+            return;
+        }
+
+        const frameTime = now - lastFrameTime;
+        lastFrameTime = now;
+        if (frameTime <= 0 || frameTime > QUALITY_CONFIG.maxFrameTime) return;
+
+        averageFrameTime += (frameTime - averageFrameTime) * QUALITY_CONFIG.smoothing;
+
+        if (now - lastChange < QUALITY_CONFIG.cooldown) return;
+
+        // Гистерезис: между порогами уровень не меняется, таймеры сбрасываются
+        if (averageFrameTime > QUALITY_CONFIG.downgradeFrameTime) {
+            fastSince = null;
+            if (slowSince === null) slowSince = now;
+            if (now - slowSince >= QUALITY_CONFIG.downgradeAfter) {
+                setTier(tierIndex + 1);
+            }
+        } else if (averageFrameTime < QUALITY_CONFIG.upgradeFrameTime) {
+            slowSince = null;
+            if (fastSince === null) fastSince = now;
+            if (now - fastSince >= QUALITY_CONFIG.upgradeAfter) {
+                setTier(tierIndex - 1);
+            }
+        } else {
+            slowSince = null;
+            fastSince = null;
+        }
+    }
+
+    /**
+     * Сбрасывает измерения, когда вкладка возвращается из фона
+     */
+    function handleVisibilityChange() {
+        lastFrameTime = null;
+        slowSince = null;
+        fastSince = null;
+        averageFrameTime = 1000 / 60;
+    }
+
+    /**
+     * Запускает мониторинг времени кадра
+     */
+    function start() {
+        if (rafId !== null) return;
+
+        lastFrameTime = null;
+        lastChange = performance.now();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        rafId = requestAnimationFrame(sample);
+    }
+
+    /**
+     * Останавливает мониторинг времени кадра
+     */
+    function stop() {
+        if (rafId === null) return;
+
+        cancelAnimationFrame(rafId);
+        rafId = null;
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }
+
+    // Экспорт регулятора качества
+    window.KoridorQuality = {
+        start,
+        stop,
+        getTier,
+        setTier,
+        onChange,
+        getAverageFrameTime: () => averageFrameTime,
+        TIERS,
+        QUALITY_CONFIG
+    };
+
+})();
@@ -0,0 +1,195 @@
+/**
+ * Маршрутизатор представлений для проекта Коридор
+ * Сопоставляет hash адреса (#hero, #gallery, #contact) с представлениями страницы
+ * [data-view] и переключает их через туннель KoridorMain
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const ROUTER_CONFIG = {
+        // Представления страницы: <section data-view="gallery" data-view-title="...">
+        viewAttribute: 'data-view',
+        titleAttribute: 'data-view-title',
+
+        // Представление, если hash пустой или не совпадает ни с одним маршрутом
+        defaultView: 'hero',
+
+        // Ссылка текущего представления получает aria-current и этот класс
+        activeLinkClass: 'is-active'
+    };
+
+    // Событие window, которое сообщает о смене представления
+    const VIEW_CHANGE_EVENT = 'koridor:view-change';
+
+    // --- Состояние ---
+    let views = new Map();
+    let currentView = null;
+    let baseTitle = '';
+
+    /**
+     * Извлекает имя представления из hash
+     * @param {string} hash - hash адреса или ссылки
+     * @returns {string|null} - имя или null, если hash закодирован с ошибкой (например, #%E0)
+     */
+    function parseHash(hash) {
+        try {
+            return decodeURIComponent(hash.replace(/^#/, ''));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Определяет представление по hash адреса
+     * Hash, не совпадающий с маршрутом (например, #corridor=<имя>) или закодированный с ошибкой,
+     * ведёт в представление по умолчанию
+     * @param {string} [hash] - значение location.hash
+     * @returns {string} - имя представления
+     */
+    function resolveView(hash = window.location.hash) {
+        const name = parseHash(hash);
+        return views.has(name) ? name : ROUTER_CONFIG.defaultView;
+    }
+
+    /**
+     * Проверяет, что hash ведёт на маршрут страницы
+     * @param {string} hash - hash ссылки
+     * @returns {boolean} - true для известного представления
+     */
+    function isRoute(hash) {
+        return views.has(parseHash(hash));
+    }
+
+    /**
+     * Отмечает ссылки на текущее представление
+     * @param {string} name - имя представления
+     */
+    function updateLinks(name) {
+        document.querySelectorAll('a[href^="#"]').forEach(link => {
+            if (!isRoute(link.hash)) return;
+
+            const isCurrent = resolveView(link.hash) === name;
+            link.classList.toggle(ROUTER_CONFIG.activeLinkClass, isCurrent);
+
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Показывает представление и прячет остальные
+     * @param {string} name - имя представления
+     * @param {Object} [renderOptions] - { focus } — перевести фокус на заголовок представления
+     */
+    function render(name, renderOptions = {}) {
+        const view = views.get(name);
+        if (!view || name === currentView) return;
+
+        const previousView = currentView;
+        currentView = name;
+
+        views.forEach((element, viewName) => {
+            element.hidden = viewName !== name;
+        });
+
+        const title = view.getAttribute(ROUTER_CONFIG.titleAttribute);
+        document.title = title ? `${title} | ${baseTitle}` : baseTitle;
+        updateLinks(name);
+
+        // Читалки экрана узнают о смене представления по переходу фокуса на его заголовок
+        if (renderOptions.focus) {
+            const heading = view.querySelector('h1, h2') || view;
+            if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+            heading.focus({ preventScroll: true });
+        }
+
+        window.dispatchEvent(new CustomEvent(VIEW_CHANGE_EVENT, {
+            detail: { view: name, previousView, element: view }
+        }));
+    }
+
+    /**
+     * Переходит к представлению через туннель
+     * Без туннеля (или без KoridorMain) представление меняется сразу
+     * @param {string} name - имя представления
+     * @param {Element} [trigger] - элемент, запустивший переход
+     * @returns {boolean} - true если переход начат
+     */
+    function navigate(name, trigger) {
+        if (!views.has(name) || name === currentView) return false;
+
+        const main = window.KoridorMain;
+        const hash = `#${name}`;
+
+        if (main && main.getFeatures().tunnel) {
+            return main.transitionTo(hash, { target: '_self', trigger });
+        }
+
+        window.location.hash = hash;
+        return true;
+    }
+
+    /**
+     * Перехватывает нажатия на ссылки-маршруты, чтобы провести их через туннель
+     * @param {MouseEvent} e - событие click
+     */
+    function handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href^="#"]');
+        if (!link || !isRoute(link.hash)) return;
+
+        e.preventDefault();
+        navigate(resolveView(link.hash), link);
+    }
+
+    /**
+     * Показывает представление из адреса (переходы по истории, ярлыки манифеста)
+     */
+    function handleHashChange() {
+        render(resolveView(), { focus: true });
+    }
+
+    /**
+     * Находит представления страницы и показывает то, на которое указывает адрес
+     */
+    function init() {
+        views = new Map();
+        document.querySelectorAll(`[${ROUTER_CONFIG.viewAttribute}]`).forEach(element => {
+            views.set(element.getAttribute(ROUTER_CONFIG.viewAttribute), element);
+        });
+
+        if (views.size === 0) return;
+
+        if (!views.has(ROUTER_CONFIG.defaultView)) {
+            console.warn(`Default view "${ROUTER_CONFIG.defaultView}" is missing`);
+        }
+
+        baseTitle = document.title;
+        render(resolveView());
+
+        document.addEventListener('click', handleClick);
+        window.addEventListener('hashchange', handleHashChange);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Экспорт маршрутизатора
+    window.KoridorRouter = {
+        navigate,
+        resolveView,
+        getCurrentView: () => currentView,
+        VIEW_CHANGE_EVENT,
+        ROUTER_CONFIG
+    };
+
+})();
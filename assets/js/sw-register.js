@@ -0,0 +1,279 @@
+/**
+ * Регистрация Service Worker для проекта Коридор
+ * Находит ожидающую новую версию воркера, предлагает обновиться через всплывающее
+ * уведомление и перезагружает страницу только после согласия пользователя.
+ * Запросы к воркеру (размер кэша, очистка, версия) отправляются через KoridorSW.request
+ */
+
+(function() {
+    'use strict';
+
+    // --- Конфигурация ---
+    const SW_CONFIG = {
+        // Воркер лежит в корне сайта, чтобы его область охватывала все страницы
+        scriptUrl: 'sw.js',
+        scope: './',
+
+        // Как часто проверять обновление воркера на открытой странице (мс)
+        updateInterval: 60 * 60 * 1000,
+
+        // Сколько ждать ответа воркера на запрос (мс)
+        requestTimeout: 10000,
+
+        // Тексты уведомления
+        text: {
+            message: 'Доступна новая версия коридора',
+            accept: 'Обновить',
+            dismiss: 'Позже'
+        }
+    };
+
+    // Появление уведомления поверх общих стилей .koridor-toast из KoridorUtils
+    const TOAST_STYLES = `
+        .koridor-update-toast {
+            transform: translate(-50%, 0);
+            transition: opacity 0.35s cubic-bezier(0.4, 0.0, 0.2, 1), transform 0.35s cubic-bezier(0.4, 0.0, 0.2, 1);
+        }
+
+        .koridor-update-toast.is-entering {
+            opacity: 0;
+            transform: translate(-50%, 12px);
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+            .koridor-update-toast {
+                transition: none;
+            }
+        }
+    `;
+
+    // --- Состояние ---
+    let registration = null;
+    let toast = null;
+    let updateRequested = false;
+    let reloading = false;
+    let requestId = 0;
+
+    /**
+     * Проверяет поддержку Service Worker
+     * @returns {boolean} - true если воркер можно зарегистрировать
+     */
+    function isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext !== false;
+    }
+
+    /**
+     * Регистрирует воркер и начинает следить за его обновлениями
+     * @returns {Promise<ServiceWorkerRegistration|null>} - регистрация или null
+     */
+    function register() {
+        if (!isSupported()) return Promise.resolve(null);
+        if (registration) return Promise.resolve(registration);
+
+        const scriptUrl = new URL(SW_CONFIG.scriptUrl, document.baseURI).href;
+        const scope = new URL(SW_CONFIG.scope, document.baseURI).href;
+
+        navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+
+        return navigator.serviceWorker.register(scriptUrl, { scope })
+            .then(reg => {
+                registration = reg;
+                trackRegistration(reg);
+                return reg;
+            })
+            .catch(error => {
+                console.warn('Service worker registration failed:', error);
+                return null;
+            });
+    }
+
+    /**
+     * Следит за установкой новых версий воркера
+     * @param {ServiceWorkerRegistration} reg - регистрация воркера
+     */
+    function trackRegistration(reg) {
+        // Новая версия могла установиться ещё в прошлый визит и ждать своей очереди
+        if (reg.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(reg.waiting);
+        }
+
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Без текущего контроллера это первая установка, а не обновление
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                }
+            });
+        });
+
+        setInterval(() => {
+            if (document.hidden) return;
+            reg.update().catch(() => {});
+        }, SW_CONFIG.updateInterval);
+    }
+
+    /**
+     * Перезагружает страницу, когда управление перешло к новой версии
+     * Перезагрузка происходит один раз и только если обновление запросил пользователь
+     */
+    function handleControllerChange() {
+        if (!updateRequested || reloading) return;
+
+        reloading = true;
+        window.location.reload();
+    }
+
+    /**
+     * Активирует ожидающую версию воркера
+     * @returns {boolean} - true если запрос отправлен
+     */
+    function applyUpdate() {
+        const waiting = registration && registration.waiting;
+        if (!waiting) return false;
+
+        updateRequested = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+        return true;
+    }
+
+    /**
+     * Возвращает воркер, который отвечает на запросы страницы
+     * @returns {Promise<ServiceWorker|null>} - активный воркер или null
+     */
+    function getActiveWorker() {
+        if (!isSupported()) return Promise.resolve(null);
+        if (navigator.serviceWorker.controller) return Promise.resolve(navigator.serviceWorker.controller);
+
+        // Страница могла открыться до первой активации воркера
+        return navigator.serviceWorker.getRegistration(new URL(SW_CONFIG.scope, document.baseURI).href)
+            .then(reg => (reg && reg.active) || null);
+    }
+
+    /**
+     * Отправляет запрос воркеру и ждёт ответа через MessageChannel
+     * Поддерживаемые типы: GET_CACHE_SIZE, CLEAR_CACHE, LIST_CACHED_URLS, SYNC_CACHE, VERSION
+     * @param {string} type - тип запроса
+     * @param {Object} [payload] - параметры запроса
+     * @param {Object} [requestOptions] - { timeout } в мс
+     * @returns {Promise<*>} - результат, который вернул воркер
+     */
+    function request(type, payload = {}, requestOptions = {}) {
+        const timeout = requestOptions.timeout || SW_CONFIG.requestTimeout;
+
+        return getActiveWorker().then(worker => {
+            if (!worker) {
+                throw new Error('No active service worker');
+            }
+
+            return new Promise((resolve, reject) => {
+                const channel = new MessageChannel();
+                const id = ++requestId;
+
+                const timer = setTimeout(() => {
+                    channel.port1.close();
+                    reject(new Error(`Service worker request timed out: ${type}`));
+                }, timeout);
+
+                channel.port1.onmessage = event => {
+                    const response = event.data || {};
+                    if (response.id !== id) return;
+
+                    clearTimeout(timer);
+                    channel.port1.close();
+
+                    if (response.ok) {
+                        resolve(response.result);
+                    } else {
+                        reject(new Error(response.error || `Service worker request failed: ${type}`));
+                    }
+                };
+
+                worker.postMessage({ id, type, payload }, [channel.port2]);
+            });
+        });
+    }
+
+    /**
+     * Создаёт уведомление об обновлении
+     * @returns {HTMLElement} - элемент уведомления
+     */
+    function createToast() {
+        const utils = window.KoridorUtils;
+        if (utils) {
+            utils.injectToastStyles();
+            utils.injectStyles('koridor-update-toast-styles', TOAST_STYLES);
+        }
+
+        const element = document.createElement('div');
+        element.className = 'koridor-toast koridor-update-toast is-entering';
+        element.setAttribute('role', 'status');
+        element.setAttribute('aria-live', 'polite');
+        element.hidden = true;
+
+        const message = document.createElement('span');
+        message.textContent = SW_CONFIG.text.message;
+
+        const actions = document.createElement('div');
+        actions.className = 'koridor-toast__actions';
+
+        const accept = document.createElement('button');
+        accept.type = 'button';
+        accept.dataset.action = 'accept';
+        accept.dataset.primary = '';
+        accept.textContent = SW_CONFIG.text.accept;
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.dataset.action = 'dismiss';
+        dismiss.textContent = SW_CONFIG.text.dismiss;
+
+        accept.addEventListener('click', () => {
+            accept.disabled = true;
+            if (!applyUpdate()) hideUpdatePrompt();
+        });
+        dismiss.addEventListener('click', hideUpdatePrompt);
+
+        actions.append(accept, dismiss);
+        element.append(message, actions);
+        document.body.appendChild(element);
+
+        return element;
+    }
+
+    /**
+     * Показывает уведомление о новой версии
+     * @param {ServiceWorker} worker - ожидающий воркер
+     */
+    function showUpdatePrompt(worker) {
+        if (!worker || updateRequested) return;
+
+        if (!toast) toast = createToast();
+        toast.hidden = false;
+
+        // Кадр ожидания, чтобы сработал переход появления
+        requestAnimationFrame(() => {
+            toast.classList.remove('is-entering');
+        });
+    }
+
+    /**
+     * Прячет уведомление; новая версия активируется, когда закроются все вкладки
+     */
+    function hideUpdatePrompt() {
+        if (toast) toast.hidden = true;
+    }
+
+    // Экспорт регистрации воркера
+    window.KoridorSW = {
+        register,
+        applyUpdate,
+        request,
+        isSupported,
+        getRegistration: () => registration,
+        SW_CONFIG
+    };
+
+})();
@@ -6,6 +6,61 @@
 (function() {
     'use strict';
 
+    // Общая основа всплывающих уведомлений: офлайн, обновление Service Worker, push.
+    // Модули добавляют к .koridor-toast только свои отличия
+    const TOAST_STYLES = `
+        .koridor-toast {
+            position: fixed;
+            left: 50%;
+            bottom: 24px;
+            z-index: 10001;
+            display: flex;
+            align-items: center;
+            gap: 16px;
+            max-width: calc(100% - 32px);
+            padding: 12px 16px 12px 20px;
+            background: #FFFBF7;
+            color: #1F1F1F;
+            border: 1px solid #D0C9BC;
+            border-radius: 12px;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.08);
+            font: 14px/1.4 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            cursor: auto;
+            transform: translateX(-50%);
+        }
+
+        .koridor-toast[hidden] {
+            display: none;
+        }
+
+        .koridor-toast__actions {
+            display: flex;
+            gap: 8px;
+            flex-shrink: 0;
+        }
+
+        .koridor-toast button {
+            flex-shrink: 0;
+            padding: 6px 12px;
+            border: 1px solid #2B2B2B;
+            border-radius: 8px;
+            background: transparent;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+        }
+
+        .koridor-toast button[data-primary] {
+            background: #2B2B2B;
+            color: #FFFBF7;
+        }
+
+        .koridor-toast button:focus-visible {
+            outline: 2px solid #8B7355;
+            outline-offset: 2px;
+        }
+    `;
+
     /**
      * Объект с утилитами
      */
@@ -42,6 +97,16 @@
             return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
         },
 
+        /**
+         * Проверяет, что у устройства есть только сенсорный ввод (нет мыши или тачпада)
+         * @returns {boolean} - true если точного указателя нет
+         */
+        isTouchOnlyDevice: () => {
+            if (!Utils.isTouchDevice()) return false;
+            if (typeof window.matchMedia !== 'function') return true;
+            return !window.matchMedia('(any-pointer: fine)').matches;
+        },
+
         /**
          * Получает текущие параметры viewport
          * @returns {Object} - объект с параметрами viewport
@@ -396,6 +461,27 @@
                     console.warn('Failed to remove from localStorage:', e);
                 }
             }
+        },
+
+        /**
+         * Встраивает стили в <head> один раз на страницу
+         * @param {string} id - id элемента <style>, по нему повторный вызов пропускается
+         * @param {string} css - текст стилей
+         */
+        injectStyles: (id, css) => {
+            if (document.getElementById(id)) return;
+
+            const style = document.createElement('style');
+            style.id = id;
+            style.textContent = css;
+            document.head.appendChild(style);
+        },
+
+        /**
+         * Встраивает общие стили уведомлений .koridor-toast
+         */
+        injectToastStyles: () => {
+            Utils.injectStyles('koridor-toast-styles', TOAST_STYLES);
         }
     };
 
@@ -0,0 +1,37 @@
+/**
+ * Precache-манифест Service Worker проекта Коридор
+ * Файл генерируется scripts/build-precache-manifest.js — не редактируйте вручную
+ */
+
+self.__PRECACHE_VERSION = 'feb4d099c4ec5460';
+
+self.__PRECACHE_MANIFEST = [
+    {"url":"./","revision":"96f000479d304098"},
+    {"url":"404.html","revision":"87d7e154901bb984"},
+    {"url":"assets/css/animations.css","revision":"c2852f3656e02ef1"},
+    {"url":"assets/css/main.css","revision":"47b0c3886306016a"},
+    {"url":"assets/css/particles.css","revision":"cb405d798091ccda"},
+    {"url":"assets/css/responsive.css","revision":"27668a44883ece57"},
+    {"url":"assets/favicon.ico","revision":"01f0b2bc11cc30d2"},
+    {"url":"assets/js/animations.js","revision":"e3649adaa40fa6ce"},
+    {"url":"assets/js/attribution.js","revision":"9b3c807d77508fbf"},
+    {"url":"assets/js/corridors.js","revision":"7d09289ecc8cd0c5"},
+    {"url":"assets/js/launch.js","revision":"4777b46176b03931"},
+    {"url":"assets/js/main.js","revision":"b1f23b8ce0274a76"},
+    {"url":"assets/js/offline.js","revision":"b637691c7a827a98"},
+    {"url":"assets/js/outbox.js","revision":"c0ecb60606d74186"},
+    {"url":"assets/js/particles-worker.js","revision":"ae9f574fef0b7456"},
+    {"url":"assets/js/particles.js","revision":"e7098bb4d7aa9b95"},
+    {"url":"assets/js/push.js","revision":"30655d04c09465e2"},
+    {"url":"assets/js/quality.js","revision":"e02cda2837bb2134"},
+    {"url":"assets/js/router.js","revision":"db9af20465f0db2f"},
+    {"url":"assets/js/sw-register.js","revision":"bdfbff472452a472"},
+    {"url":"assets/js/utils.js","revision":"f8b55d5aa6882ddd"},
+    {"url":"assets/manifest.json","revision":"247281abbaff9673"},
+    {"url":"assets/og-image.jpg","revision":"9ca552f215fe27d2"},
+    {"url":"index-optimized.html","revision":"22a8ff9d628831a0"},
+    {"url":"index.html","revision":"96f000479d304098"},
+    {"url":"offline.html","revision":"89280782f495118f"},
+    {"url":"share.html","revision":"7c3dc3a2870aef1a"},
+    {"url":"%D0%9A%D0%BE%D1%80%D0%B8%D0%B4%D0%BE%D1%80.html","revision":"f4037590cd685fcf"}
+];
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * Бенчмарк системы частиц проекта Коридор
+ * Загружает assets/js/particles.js в изолированный контекст с headless canvas
+ * и измеряет время кадра (физика + соединения + отрисовка) для разного числа частиц.
+ * Каждый размер прогоняется дважды: с пространственной сеткой SpatialGrid и с полным
+ * перебором пар O(n²), как было до сетки, — итоговая таблица показывает ускорение.
+ *
+ * Запуск:
+ *   node scripts/bench-particles.js [--frames 300] [--counts 50,500,2000]
+ *
+ * Если установлен пакет `canvas` (node-canvas), используется настоящий растеризатор,
+ * иначе — заглушка 2D-контекста, которая только считает вызовы отрисовки.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+
+/**
+ * Разбирает аргументы командной строки
+ * @returns {{frames: number, warmup: number, counts: Array<number>}} - параметры запуска
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = { frames: 300, warmup: 30, counts: [50, 500, 2000] };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--frames') options.frames = parseInt(args[++i], 10);
+        if (args[i] === '--warmup') options.warmup = parseInt(args[++i], 10);
+        if (args[i] === '--counts') options.counts = args[++i].split(',').map(Number);
+    }
+
+    return options;
+}
+
+/**
+ * Создаёт 2D-контекст: node-canvas, если доступен, иначе счётчик вызовов
+ * @returns {{canvas: Object, backend: string, stats: Object}} - canvas и сведения о нём
+ */
+function createHeadlessCanvas() {
+    try {
+        const { createCanvas } = require('canvas');
+        const canvas = createCanvas(WIDTH, HEIGHT);
+        canvas.style = {};
+        return { canvas, backend: 'node-canvas', stats: null };
+    } catch (e) {
+        const stats = { strokes: 0, fills: 0 };
+        const ctx = {
+            globalAlpha: 1,
+            fillStyle: '#000',
+            strokeStyle: '#000',
+            lineWidth: 1,
+            save() {},
+            restore() {},
+            setTransform() {},
+            clearRect() {},
+            beginPath() {},
+            moveTo() {},
+            lineTo() {},
+            arc() {},
+            fill() { stats.fills++; },
+            stroke() { stats.strokes++; }
+        };
+        const canvas = {
+            width: WIDTH,
+            height: HEIGHT,
+            style: {},
+            getContext: () => ctx
+        };
+        return { canvas, backend: 'stub', stats };
+    }
+}
+
+/**
+ * Загружает модуль частиц с минимальным окружением браузера
+ * Код компилируется в основном контексте, а браузерные глобали передаются параметрами:
+ * в отдельном vm-контексте каждое обращение к глобалям идёт через песочницу
+ * и замедляет модуль в разы, из-за чего сравнение с базовым перебором теряет смысл
+ * @returns {Object} - экспорт window.ParticleSystem
+ */
+function loadParticleModule() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'assets', 'js', 'particles.js'), 'utf8');
+    const noop = () => {};
+    const window = {
+        innerWidth: WIDTH,
+        innerHeight: HEIGHT,
+        devicePixelRatio: 1,
+        addEventListener: noop,
+        removeEventListener: noop
+    };
+    const document = {
+        hidden: false,
+        addEventListener: noop,
+        removeEventListener: noop,
+        createElement: noop,
+        body: { appendChild: noop }
+    };
+    const requestAnimationFrame = () => 0;
+    const cancelAnimationFrame = noop;
+
+    const globals = { window, self: window, document, requestAnimationFrame, cancelAnimationFrame };
+    const factory = vm.compileFunction(source, Object.keys(globals), { filename: 'particles.js' });
+    factory(...Object.values(globals));
+    return window.ParticleSystem;
+}
+
+/**
+ * Полный перебор пар — поиск соседей до появления пространственной сетки
+ * Повторяет интерфейс SpatialGrid, поэтому остальная часть кадра считается так же
+ */
+class BruteForcePairs {
+    constructor() {
+        this.cellSize = 0;
+    }
+
+    build() {}
+
+    /**
+     * Перебирает все пары элементов ближе radius
+     * @param {Array<{x: number, y: number}>} items - элементы с координатами
+     * @param {number} radius - максимальное расстояние
+     * @param {Function} callback - (i, j, distance) => void
+     */
+    forEachPair(items, radius, callback) {
+        const radiusSq = radius * radius;
+
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                const dx = items[i].x - items[j].x;
+                const dy = items[i].y - items[j].y;
+                const distSq = dx * dx + dy * dy;
+                if (distSq < radiusSq) {
+                    callback(i, j, Math.sqrt(distSq));
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Считает перцентиль в отсортированном массиве
+ * @param {Array<number>} sorted - отсортированные значения
+ * @param {number} p - перцентиль (0-1)
+ * @returns {number} - значение перцентиля
+ */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Прогоняет систему частиц заданного размера
+ * @param {number} count - число частиц
+ * @param {Object} options - параметры запуска
+ * @param {string} search - поиск соседей: 'grid' (SpatialGrid) или 'brute-force' (O(n²))
+ * @returns {Object} - результаты замера
+ */
+function run(count, options, search) {
+    const module = loadParticleModule();
+    const { canvas, backend, stats } = createHeadlessCanvas();
+
+    module.PARTICLE_CONFIG.particleCount = count;
+    const system = new module.ParticleSystem(canvas);
+
+    if (search === 'brute-force') {
+        system.grid = new BruteForcePairs();
+    }
+
+    // Частицы не затухают, чтобы их число не менялось во время замера
+    system.particles.forEach(particle => {
+        particle.decay = 0;
+    });
+
+    const times = [];
+    let time = 0;
+    for (let frame = 0; frame < options.warmup + options.frames; frame++) {
+        time += 16.67;
+        const start = performance.now();
+        system.animate(time);
+        const elapsed = performance.now() - start;
+        if (frame >= options.warmup) times.push(elapsed);
+    }
+
+    times.sort((a, b) => a - b);
+    const mean = times.reduce((sum, value) => sum + value, 0) / times.length;
+
+    return {
+        particles: count,
+        search,
+        backend,
+        mean,
+        meanMs: mean.toFixed(3),
+        p50Ms: percentile(times, 0.5).toFixed(3),
+        p95Ms: percentile(times, 0.95).toFixed(3),
+        strokesPerFrame: stats ? Math.round(stats.strokes / (options.warmup + options.frames)) : 'n/a'
+    };
+}
+
+const options = parseArgs();
+const results = [];
+const comparison = [];
+
+options.counts.forEach(count => {
+    const baseline = run(count, options, 'brute-force');
+    const grid = run(count, options, 'grid');
+    results.push(baseline, grid);
+
+    comparison.push({
+        particles: count,
+        bruteForceMeanMs: baseline.meanMs,
+        gridMeanMs: grid.meanMs,
+        speedup: `${(baseline.mean / grid.mean).toFixed(2)}x`
+    });
+});
+
+console.table(results.map(({ mean, ...row }) => row));
+console.table(comparison);
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Сборка precache-манифеста для Service Worker проекта Коридор
+ * Обходит публикуемые файлы сайта, считает хэш содержимого каждого файла
+ * и записывает assets/precache-manifest.js, который подключает sw.js.
+ *
+ * Запуск (перед публикацией, из корня репозитория):
+ *   node scripts/build-precache-manifest.js [--root .] [--out assets/precache-manifest.js]
+ *
+ * Адреса в манифесте указываются относительно корня сайта, поэтому сайт
+ * работает и из подкаталога (например, на GitHub Pages проекта).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Конфигурация ---
+const MANIFEST_CONFIG = {
+    // Расширения файлов, которые попадают в precache
+    extensions: ['.html', '.css', '.js', '.json', '.ico', '.png', '.jpg', '.jpeg', '.svg', '.webp', '.woff2'],
+
+    // Каталоги, которые не публикуются или не нужны оффлайн
+    ignoreDirs: ['.git', '.github', 'node_modules', 'scripts', 'docs'],
+
+    // Файлы, которые не кэшируются заранее (сам воркер и манифест обновляются браузером)
+    ignoreFiles: ['sw.js', 'assets/precache-manifest.js'],
+
+    // Страница, которая также отдаётся по адресу корня сайта
+    indexFile: 'index.html',
+
+    // Длина ревизии в шестнадцатеричных символах
+    revisionLength: 16
+};
+
+/**
+ * Разбирает аргументы командной строки
+ * @returns {{root: string, out: string}} - параметры запуска
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        root: path.join(__dirname, '..'),
+        out: null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--root') options.root = path.resolve(args[++i]);
+        if (args[i] === '--out') options.out = path.resolve(args[++i]);
+    }
+
+    if (!options.out) {
+        options.out = path.join(options.root, 'assets', 'precache-manifest.js');
+    }
+
+    return options;
+}
+
+/**
+ * Рекурсивно собирает публикуемые файлы
+ * @param {string} root - корень сайта
+ * @param {string} [dir] - текущий каталог относительно корня
+ * @returns {Array<string>} - пути файлов относительно корня (через /)
+ */
+function collectFiles(root, dir = '') {
+    const files = [];
+
+    fs.readdirSync(path.join(root, dir), { withFileTypes: true }).forEach(entry => {
+        const relative = dir ? `${dir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+            if (!MANIFEST_CONFIG.ignoreDirs.includes(entry.name)) {
+                files.push(...collectFiles(root, relative));
+            }
+            return;
+        }
+
+        const extension = path.extname(entry.name).toLowerCase();
+        if (!entry.isFile() || !MANIFEST_CONFIG.extensions.includes(extension)) return;
+        if (MANIFEST_CONFIG.ignoreFiles.includes(relative)) return;
+
+        // Пустые файлы-заглушки не имеют смысла кэшировать
+        if (fs.statSync(path.join(root, relative)).size === 0) return;
+
+        files.push(relative);
+    });
+
+    return files;
+}
+
+/**
+ * Считает ревизию файла по его содержимому
+ * @param {string} filePath - абсолютный путь файла
+ * @returns {string} - усечённый SHA-256 в hex
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha256')
+        .update(fs.readFileSync(filePath))
+        .digest('hex')
+        .slice(0, MANIFEST_CONFIG.revisionLength);
+}
+
+/**
+ * Строит манифест для набора файлов
+ * @param {string} root - корень сайта
+ * @returns {{version: string, entries: Array<{url: string, revision: string}>}} - манифест
+ */
+function buildManifest(root) {
+    const entries = collectFiles(root)
+        .sort()
+        .map(file => ({
+            url: encodeURI(file),
+            revision: hashFile(path.join(root, file))
+        }));
+
+    // Корень сайта отдаёт тот же документ, что и index.html
+    const index = entries.find(entry => entry.url === MANIFEST_CONFIG.indexFile);
+    if (index) {
+        entries.unshift({ url: './', revision: index.revision });
+    }
+
+    // Версия манифеста меняется при изменении любого файла
+    const version = crypto.createHash('sha256')
+        .update(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, MANIFEST_CONFIG.revisionLength);
+
+    return { version, entries };
+}
+
+/**
+ * Формирует содержимое файла манифеста для importScripts
+ * @param {Object} manifest - манифест
+ * @returns {string} - исходный код файла
+ */
+function renderManifest(manifest) {
+    const lines = manifest.entries.map(entry => `    ${JSON.stringify(entry)}`);
+
+    return [
+        '/**',
+        ' * Precache-манифест Service Worker проекта Коридор',
+        ' * Файл генерируется scripts/build-precache-manifest.js — не редактируйте вручную',
+        ' */',
+        '',
+        `self.__PRECACHE_VERSION = '${manifest.version}';`,
+        '',
+        'self.__PRECACHE_MANIFEST = [',
+        lines.join(',\n'),
+        '];',
+        ''
+    ].join('\n');
+}
+
+const options = parseArgs();
+const manifest = buildManifest(options.root);
+fs.writeFileSync(options.out, renderManifest(manifest));
+
+console.log(`Precache manifest: ${manifest.entries.length} entries, version ${manifest.version}`);
+console.log(`Written to ${path.relative(process.cwd(), options.out) || options.out}`);
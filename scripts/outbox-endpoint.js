@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Локальный приёмник событий очереди Service Worker проекта Коридор
+ * Заменяет настоящий сервер аналитики при проверке Background Sync:
+ * принимает POST-запросы, отбрасывает повторы по Idempotency-Key и печатает события.
+ *
+ * Запуск:
+ *   node scripts/outbox-endpoint.js [--port 8787] [--fail-rate 0.5]
+ *
+ * Страница указывает приёмник мета-тегом:
+ *   <meta name="koridor-outbox-endpoint" content="http://localhost:8787/events">
+ *
+ * --fail-rate отвечает 503 на заданную долю запросов, чтобы проверить повторы с задержкой.
+ */
+
+'use strict';
+
+const http = require('http');
+
+// Ключи уже принятых запросов
+const seen = new Set();
+
+/**
+ * Разбирает аргументы командной строки
+ * @returns {{port: number, failRate: number}} - параметры запуска
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = { port: 8787, failRate: 0 };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = parseInt(args[++i], 10);
+        if (args[i] === '--fail-rate') options.failRate = parseFloat(args[++i]);
+    }
+
+    return options;
+}
+
+/**
+ * Добавляет заголовки CORS: страница и воркер обращаются к приёмнику с другого origin
+ * @param {http.ServerResponse} res - ответ
+ */
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key');
+}
+
+/**
+ * Обрабатывает запрос к приёмнику
+ * @param {http.IncomingMessage} req - запрос
+ * @param {http.ServerResponse} res - ответ
+ * @param {Object} options - параметры запуска
+ */
+function handleRequest(req, res, options) {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+    });
+
+    req.on('end', () => {
+        if (Math.random() < options.failRate) {
+            console.log(`503 (simulated failure) ${req.url}`);
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(body);
+        } catch (error) {
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+
+        // sendBeacon не передаёт заголовки, поэтому ключ берётся и из тела
+        const key = req.headers['idempotency-key'] || event.id;
+        const duplicate = Boolean(key) && seen.has(key);
+        if (key) seen.add(key);
+
+        console.log(`${duplicate ? 'duplicate' : 'accepted '} ${event.type || '?'} ${JSON.stringify(event.data || {})}`);
+        res.writeHead(duplicate ? 200 : 202);
+        res.end();
+    });
+}
+
+const options = parseArgs();
+http.createServer((req, res) => handleRequest(req, res, options)).listen(options.port, () => {
+    console.log(`Outbox endpoint listening on http://localhost:${options.port}/events`);
+});
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Локальный сервер Web Push для проекта Коридор
+ * Хранит VAPID-ключи и подписки браузеров, шифрует сообщения (RFC 8291, aes128gcm)
+ * и отправляет их в push-сервис браузера. Нужен только для проверки уведомлений локально.
+ *
+ * Запуск:
+ *   node scripts/push-server.js keys
+ *   node scripts/push-server.js serve [--port 8788]
+ *   node scripts/push-server.js send --type corridor --corridor main [--title ...] [--body ...] [--url ...]
+ *
+ * serve печатает мета-теги для страницы:
+ *   <meta name="koridor-vapid-public-key" content="...">
+ *   <meta name="koridor-push-endpoint" content="http://localhost:8788/subscriptions">
+ *
+ * Ключи и подписки хранятся во временном каталоге системы (см. PUSH_CONFIG.dataDir).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+// --- Конфигурация ---
+const PUSH_CONFIG = {
+    // Каталог с ключами и подписками (вне репозитория)
+    dataDir: path.join(os.tmpdir(), 'koridor-push'),
+
+    // Контакт владельца рассылки для push-сервиса (claim sub в VAPID)
+    subject: 'mailto:koridor@example.com',
+
+    // Время жизни сообщения в push-сервисе (с) и срок действия VAPID-токена (с)
+    ttl: 24 * 60 * 60,
+    tokenLifetime: 12 * 60 * 60,
+
+    // Размер записи aes128gcm
+    recordSize: 4096
+};
+
+const KEYS_FILE = path.join(PUSH_CONFIG.dataDir, 'vapid-keys.json');
+const SUBSCRIPTIONS_FILE = path.join(PUSH_CONFIG.dataDir, 'subscriptions.json');
+
+/**
+ * Разбирает аргументы командной строки
+ * @returns {{command: string, port: number, message: Object}} - параметры запуска
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = { command: args[0] || 'serve', port: 8788, message: { type: 'announcement' } };
+
+    for (let i = 1; i < args.length; i++) {
+        const name = args[i].replace(/^--/, '');
+        const value = args[++i];
+
+        if (name === 'port') {
+            options.port = parseInt(value, 10);
+        } else if (['type', 'title', 'body', 'corridor', 'url', 'icon'].includes(name)) {
+            options.message[name] = value;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Кодирует байты в base64url без заполнителей
+ * @param {Buffer} buffer - байты
+ * @returns {string} - строка base64url
+ */
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Декодирует строку base64url
+ * @param {string} value - строка base64url
+ * @returns {Buffer} - байты
+ */
+function fromBase64Url(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Читает JSON-файл
+ * @param {string} file - путь к файлу
+ * @param {*} fallback - значение, если файла нет
+ * @returns {*} - содержимое файла
+ */
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Записывает JSON-файл, создавая каталог данных
+ * @param {string} file - путь к файлу
+ * @param {*} value - содержимое
+ */
+function writeJson(file, value) {
+    fs.mkdirSync(PUSH_CONFIG.dataDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Возвращает VAPID-ключи, при первом запуске создаёт их
+ * @returns {{publicKey: string, privateKey: string}} - ключи в base64url (P-256)
+ */
+function getVapidKeys() {
+    const stored = readJson(KEYS_FILE, null);
+    if (stored) return stored;
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const keys = {
+        // Несжатая точка: 0x04 || x || y
+        publicKey: toBase64Url(Buffer.concat([Buffer.from([4]), fromBase64Url(jwk.x), fromBase64Url(jwk.y)])),
+        privateKey: privateKey.export({ format: 'jwk' }).d
+    };
+
+    writeJson(KEYS_FILE, keys);
+    return keys;
+}
+
+/**
+ * Строит заголовок Authorization с подписанным VAPID-токеном (ES256)
+ * @param {string} endpoint - адрес подписки в push-сервисе
+ * @param {Object} keys - VAPID-ключи
+ * @returns {string} - значение заголовка
+ */
+function createVapidAuthorization(endpoint, keys) {
+    const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = toBase64Url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + PUSH_CONFIG.tokenLifetime,
+        sub: PUSH_CONFIG.subject
+    }));
+
+    const publicKey = fromBase64Url(keys.publicKey);
+    const privateKey = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: toBase64Url(publicKey.subarray(1, 33)),
+            y: toBase64Url(publicKey.subarray(33, 65)),
+            d: keys.privateKey
+        }
+    });
+
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${keys.publicKey}`;
+}
+
+/**
+ * Шифрует сообщение для подписки (RFC 8291, одна запись aes128gcm)
+ * @param {Object} subscription - подписка { keys: { p256dh, auth } }
+ * @param {string} payload - текст сообщения
+ * @returns {Buffer} - тело запроса к push-сервису
+ */
+function encryptPayload(subscription, payload) {
+    const clientPublicKey = fromBase64Url(subscription.keys.p256dh);
+    const authSecret = fromBase64Url(subscription.keys.auth);
+
+    const serverKeys = crypto.createECDH('prime256v1');
+    serverKeys.generateKeys();
+    const serverPublicKey = serverKeys.getPublicKey();
+    const sharedSecret = serverKeys.computeSecret(clientPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // Разделитель 0x02 отмечает последнюю (и единственную) запись
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const encrypted = Buffer.concat([cipher.update(Buffer.from(payload)), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(PUSH_CONFIG.recordSize, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, encrypted]);
+}
+
+/**
+ * Отправляет сообщение одной подписке
+ * @param {Object} subscription - подписка браузера
+ * @param {Object} message - сообщение { type, title, body, corridor, url, icon }
+ * @param {Object} keys - VAPID-ключи
+ * @returns {Promise<number>} - HTTP-статус ответа push-сервиса
+ */
+function sendNotification(subscription, message, keys) {
+    return fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            Authorization: createVapidAuthorization(subscription.endpoint, keys),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(PUSH_CONFIG.ttl)
+        },
+        body: encryptPayload(subscription, JSON.stringify(message))
+    }).then(response => response.status);
+}
+
+/**
+ * Рассылает сообщение всем подпискам; подписки, которых больше нет (404/410), удаляются
+ * @param {Object} message - сообщение
+ * @returns {Promise<Array<{endpoint: string, status: number|string}>>} - итог по подпискам
+ */
+function broadcast(message) {
+    const keys = getVapidKeys();
+    const subscriptions = readJson(SUBSCRIPTIONS_FILE, []);
+
+    return Promise.all(subscriptions.map(subscription => {
+        return sendNotification(subscription, message, keys)
+            .catch(error => error.message)
+            .then(status => ({ endpoint: subscription.endpoint, status }));
+    })).then(results => {
+        const gone = new Set(results.filter(result => result.status === 404 || result.status === 410).map(result => result.endpoint));
+        if (gone.size) {
+            writeJson(SUBSCRIPTIONS_FILE, subscriptions.filter(subscription => !gone.has(subscription.endpoint)));
+        }
+        return results;
+    });
+}
+
+/**
+ * Читает тело запроса как JSON
+ * @param {http.IncomingMessage} req - запрос
+ * @returns {Promise<Object>} - разобранное тело
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+/**
+ * Обрабатывает запрос к локальному серверу
+ * POST/DELETE /subscriptions — сохранить или удалить подписку, POST /send — разослать сообщение
+ * @param {http.IncomingMessage} req - запрос
+ * @param {http.ServerResponse} res - ответ
+ */
+function handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const route = `${req.method} ${new URL(req.url, 'http://localhost').pathname}`;
+
+    readBody(req).then(body => {
+        if (route === 'POST /subscriptions' || route === 'DELETE /subscriptions') {
+            if (!body.endpoint) throw new Error('Subscription endpoint is missing');
+
+            const subscriptions = readJson(SUBSCRIPTIONS_FILE, []).filter(item => item.endpoint !== body.endpoint);
+            if (req.method === 'POST') subscriptions.push(body);
+            writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+
+            console.log(`${req.method === 'POST' ? 'subscribed  ' : 'unsubscribed'} ${body.endpoint.slice(0, 60)}…`);
+            return { subscriptions: subscriptions.length };
+        }
+
+        if (route === 'POST /send') {
+            return broadcast(body);
+        }
+
+        res.writeHead(404);
+        return null;
+    }).then(result => {
+        if (result === null) {
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+    }, error => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+    });
+}
+
+const options = parseArgs();
+const keys = getVapidKeys();
+
+if (options.command === 'keys') {
+    console.log(JSON.stringify({ publicKey: keys.publicKey }, null, 2));
+} else if (options.command === 'send') {
+    broadcast(options.message).then(results => {
+        console.table(results);
+    });
+} else {
+    http.createServer(handleRequest).listen(options.port, () => {
+        console.log(`Push server listening on http://localhost:${options.port}`);
+        console.log('Add to the page <head>:');
+        console.log(`  <meta name="koridor-vapid-public-key" content="${keys.publicKey}">`);
+        console.log(`  <meta name="koridor-push-endpoint" content="http://localhost:${options.port}/subscriptions">`);
+    });
+}
@@ -0,0 +1,1552 @@
+/**
+ * Service Worker для проекта Коридор
+ * Обеспечивает фоновое кэширование и оффлайн-функциональность
+ */
+
+// Манифест с ревизиями файлов генерирует scripts/build-precache-manifest.js
+importScripts('assets/precache-manifest.js');
+
+const CACHE_PREFIX = 'koridor-';
+const STATIC_CACHE_NAME = `${CACHE_PREFIX}precache`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime`;
+
+// Параметр, которым ревизия добавляется к ключу кэша
+const REVISION_PARAM = '__rev';
+
+// Корень сайта: воркер лежит в корне, чтобы его область действия покрывала все страницы
+const SITE_ROOT = new URL('./', self.location.href);
+
+// Страница, которую получает навигация без сети и без кэша
+const OFFLINE_PAGE_URL = new URL('offline.html', SITE_ROOT).href;
+
+// Адрес ресурса -> ключ кэша с ревизией
+const PRECACHE_ENTRIES = new Map(
+  (self.__PRECACHE_MANIFEST || []).map(entry => {
+    const url = new URL(entry.url, SITE_ROOT).href;
+    return [url, getPrecacheKey(url, entry.revision)];
+  })
+);
+
+// Ресурсы, которые не кэшируются
+const EXCLUDED_CACHE = [
+  '/admin',
+  '/api',
+  '/auth'
+];
+
+// Сроки хранения в секундах
+const DAY = 24 * 60 * 60;
+const MB = 1024 * 1024;
+
+// База IndexedDB воркера: метаданные кэшей и очередь исходящих запросов
+const DB_CONFIG = {
+  name: 'koridor-sw',
+  version: 3
+};
+
+// Метаданные runtime-кэшей и ограничения хранилища
+const EXPIRATION_CONFIG = {
+  storeName: 'cache-entries',
+
+  // Доля квоты, после которой начинается вытеснение, и доля, до которой освобождаем
+  quotaThreshold: 0.8,
+  quotaTarget: 0.6,
+
+  // Сколько записей удалять минимум, если размеры неизвестны
+  minQuotaEviction: 5,
+
+  // Как часто спрашивать navigator.storage.estimate() (мс)
+  quotaCheckInterval: 60 * 1000
+};
+
+// Очередь исходящих запросов (аналитика, события форм), которая досылается через Background Sync
+const OUTBOX_CONFIG = {
+  storeName: 'outbox',
+  syncTag: 'koridor-outbox',
+
+  // Экспоненциальная задержка между попытками: baseDelay * 2^попытка, не больше maxDelay (мс)
+  baseDelay: 30 * 1000,
+  maxDelay: 60 * 60 * 1000,
+
+  // После стольких попыток или такого возраста запрос выбрасывается
+  maxAttempts: 8,
+  maxAge: 7 * 24 * 60 * 60 * 1000,
+
+  // Предел длины очереди: при переполнении вытесняются самые старые запросы
+  maxEntries: 200
+};
+
+// Приём данных через share_target манифеста
+const SHARE_CONFIG = {
+  // Адрес action из share_target: POST сюда перехватывается воркером
+  actionUrl: new URL('share.html', SITE_ROOT).href,
+  storeName: 'shares',
+
+  // Поле формы с файлами (params.files[].name в манифесте)
+  filesField: 'media',
+  
+  // Параметр адреса, по которому share.html забирает сохранённые данные
+  idParam: 'share',
+
+  // Сколько хранится то, чем поделились, если страница его так и не забрала (мс)
+  maxAge: 24 * 60 * 60 * 1000
+};
+
+// Push-уведомления
+const PUSH_CONFIG = {
+  // Страница с туннелем, на которую ведут уведомления о коридорах (#corridor=<имя>)
+  corridorPage: 'Коридор.html',
+  corridorHashKey: 'corridor',
+
+  // Адреса вне сайта, которые можно открыть из уведомления
+  allowedOrigins: ['https://t.me']
+};
+
+/**
+ * Шаблоны уведомлений по типу push-сообщения
+ * Поля сообщения title и body переопределяют текст шаблона
+ */
+const PUSH_TEMPLATES = {
+  announcement: payload => ({
+    title: payload.title || 'Коридор',
+    body: payload.body || '',
+    tag: 'announcement'
+  }),
+  corridor: payload => ({
+    title: payload.title || 'Открылся новый коридор',
+    body: payload.body || (payload.corridor ? `Направление «${payload.corridor}» уже ждёт` : ''),
+    tag: `corridor-${payload.corridor || 'new'}`
+  }),
+  update: payload => ({
+    title: payload.title || 'Коридор обновлён',
+    body: payload.body || 'Откройте сайт, чтобы перейти на новую версию',
+    tag: 'app-update'
+  })
+};
+
+/**
+ * Таблица маршрутов: первый подходящий маршрут определяет стратегию
+ * match — RegExp (проверяется по полному адресу), glob (по пути от корня сайта)
+ * или функция (url, request) => boolean.
+ * maxEntries, maxBytes и maxAgeSeconds ограничивают кэш маршрута
+ */
+const ROUTES = [
+  {
+    name: 'pages',
+    match: (url, request) => request.mode === 'navigate' || url.pathname.endsWith('.html'),
+    strategy: 'networkFirst',
+    cacheName: `${CACHE_PREFIX}pages`,
+    networkTimeoutSeconds: 4,
+    maxEntries: 20,
+    maxBytes: 2 * MB,
+    maxAgeSeconds: DAY
+  },
+  {
+    name: 'fonts',
+    match: /^https:\/\/fonts\.(googleapis|gstatic)\.com\//,
+    strategy: 'cacheFirst',
+    cacheName: `${CACHE_PREFIX}fonts`,
+    corsUpgrade: true,
+    maxEntries: 30,
+    maxBytes: 5 * MB,
+    maxAgeSeconds: 365 * DAY
+  },
+  {
+    name: 'cdn',
+    match: /^https:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/gsap\//,
+    strategy: 'cacheFirst',
+    cacheName: `${CACHE_PREFIX}cdn`,
+    corsUpgrade: true,
+    maxEntries: 10,
+    maxBytes: 2 * MB,
+    maxAgeSeconds: 30 * DAY
+  },
+  {
+    name: 'images',
+    match: '**/*.{png,jpg,jpeg,gif,webp,avif,svg,ico}',
+    strategy: 'staleWhileRevalidate',
+    cacheName: `${CACHE_PREFIX}images`,
+    maxEntries: 60,
+    maxBytes: 10 * MB,
+    maxAgeSeconds: 30 * DAY
+  },
+  {
+    name: 'static',
+    match: '**/*.{js,css,json}',
+    strategy: 'staleWhileRevalidate',
+    cacheName: RUNTIME_CACHE_NAME,
+    maxEntries: 50,
+    maxBytes: 5 * MB,
+    maxAgeSeconds: 7 * DAY
+  }
+];
+
+// Кэши, которые переживают активацию новой версии
+const CURRENT_CACHES = new Set([STATIC_CACHE_NAME, RUNTIME_CACHE_NAME, ...ROUTES.map(route => route.cacheName)]);
+
+/**
+ * Строит ключ кэша для ресурса с ревизией
+ * @param {string} url - абсолютный адрес ресурса
+ * @param {string} revision - хэш содержимого
+ * @returns {string} - адрес с параметром ревизии
+ */
+function getPrecacheKey(url, revision) {
+  const key = new URL(url);
+  key.searchParams.set(REVISION_PARAM, revision);
+  return key.href;
+}
+
+/**
+ * Кэширует один ресурс манифеста, если его ревизии ещё нет в кэше
+ * @param {Cache} cache - кэш предзагрузки
+ * @param {string} url - адрес ресурса
+ * @param {string} key - ключ кэша с ревизией
+ * @returns {Promise<boolean>} - true если ресурс пришлось скачать
+ */
+function precacheEntry(cache, url, key) {
+  return cache.match(key).then(cached => {
+    // Неизменённые файлы повторно не скачиваются
+    if (cached) return false;
+    
+    return fetch(new Request(url, { cache: 'reload', credentials: 'same-origin' })).then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return cache.put(key, response).then(() => true);
+    });
+  });
+}
+
+/**
+ * Загружает в кэш предзагрузки все ресурсы манифеста
+ * Каждый ресурс кэшируется отдельно: ошибка одного файла не срывает установку
+ * @returns {Promise<void>}
+ */
+function precacheAll() {
+  return caches.open(STATIC_CACHE_NAME).then(cache => {
+    const entries = Array.from(PRECACHE_ENTRIES.entries());
+    
+    return Promise.allSettled(
+      entries.map(([url, key]) => precacheEntry(cache, url, key))
+    ).then(results => {
+      const failed = [];
+      let updated = 0;
+      
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          failed.push(entries[index][0]);
+          console.warn('Service Worker: не удалось закэшировать', entries[index][0], result.reason);
+        } else if (result.value) {
+          updated++;
+        }
+      });
+      
+      console.log(`Service Worker: обновлено ${updated} из ${entries.length} ресурсов, ошибок: ${failed.length}`);
+    });
+  });
+}
+
+/**
+ * Установка Service Worker
+ * Новая версия остаётся в ожидании, пока страница не пришлёт SKIP_WAITING
+ * (после согласия пользователя), чтобы ресурсы не подменялись посреди сессии
+ */
+self.addEventListener('install', event => {
+  console.log('Service Worker: установка начата, версия', self.__PRECACHE_VERSION);
+  
+  event.waitUntil(precacheAll());
+});
+
+/**
+ * Удаляет из кэша предзагрузки ревизии, которых нет в текущем манифесте
+ * @returns {Promise<number>} - число удалённых записей
+ */
+function cleanupPrecache() {
+  const currentKeys = new Set(PRECACHE_ENTRIES.values());
+  
+  return caches.open(STATIC_CACHE_NAME).then(cache => {
+    return cache.keys().then(requests => {
+      const stale = requests.filter(request => !currentKeys.has(request.url));
+      return Promise.all(stale.map(request => cache.delete(request))).then(() => stale.length);
+    });
+  });
+}
+
+/**
+ * Удаляет из runtime-кэшей ресурсы сайта
+ * Имена runtime-кэшей не версионируются и переживают активацию, поэтому после смены ревизий
+ * их копии скриптов и стилей прошлой версии встретились бы с новой разметкой
+ * @returns {Promise<number>} - число удалённых записей
+ */
+function clearRuntimeCaches() {
+  const cacheNames = Array.from(new Set(ROUTES.map(route => route.cacheName)));
+  
+  return Promise.all(cacheNames.map(cacheName => {
+    return caches.open(cacheName).then(cache => cache.keys()).then(requests => {
+      return requests
+        .filter(request => request.url.startsWith(SITE_ROOT.href))
+        .map(request => ({ id: `${cacheName}|${request.url}`, cacheName, url: request.url }));
+    });
+  })).then(groups => expiration.remove(groups.flat()));
+}
+
+/**
+ * Активация Service Worker
+ */
+self.addEventListener('activate', event => {
+  console.log('Service Worker: активация');
+  
+  // Удаляем старые кэши (в том числе с ручными суффиксами -v1) и устаревшие ревизии
+  event.waitUntil(
+    caches.keys().then(cacheNames => {
+      return Promise.all(
+        cacheNames.map(cacheName => {
+          if (cacheName.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.has(cacheName)) {
+            return caches.delete(cacheName);
+          }
+        })
+      );
+    }).then(() => {
+      return cleanupPrecache();
+    }).then(removed => {
+      console.log(`Service Worker: старые кэши удалены, устаревших ревизий: ${removed}`);
+      
+      // Ревизии сменились — runtime-копии ресурсов сайта относятся к прошлой версии
+      if (removed === 0) return 0;
+      return clearRuntimeCaches();
+    }).then(cleared => {
+      console.log(`Service Worker: runtime-записей прошлой версии удалено: ${cleared}`);
+      return expiration.enforceAll();
+    }).then(removed => {
+      console.log(`Service Worker: просроченных записей удалено: ${removed}`);
+    }).catch(error => {
+      console.warn('Service Worker: не удалось применить сроки хранения', error);
+    }).then(() => {
+      // Первая установка сразу берёт под контроль открытые страницы (для оффлайн-режима)
+      return self.clients.claim();
+    })
+  );
+});
+
+/**
+ * Возвращает ключ кэша предзагрузки для адреса
+ * @param {string} requestUrl - адрес запроса
+ * @returns {string|undefined} - ключ с ревизией или undefined, если адреса нет в манифесте
+ */
+function getPrecacheEntryKey(requestUrl) {
+  const url = new URL(requestUrl);
+  url.hash = '';
+  url.search = '';
+  
+  return PRECACHE_ENTRIES.get(url.href);
+}
+
+/**
+ * Ищет ресурс в кэше предзагрузки
+ * @param {Request} request - запрос
+ * @returns {Promise<Response|undefined>} - закэшированный ответ или undefined
+ */
+function matchPrecache(request) {
+  const key = getPrecacheEntryKey(request.url);
+  if (!key) return Promise.resolve(undefined);
+  
+  return caches.open(STATIC_CACHE_NAME).then(cache => cache.match(key));
+}
+
+/**
+ * Обработка сетевых запросов
+ */
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  
+  // Данные, которыми поделились через системное меню «Поделиться»
+  if (request.method === 'POST' && request.url.split(/[?#]/)[0] === SHARE_CONFIG.actionUrl) {
+    event.respondWith(handleShareTarget(request));
+    return;
+  }
+  
+  // Проверяем, нужно ли обрабатывать запрос
+  if (!shouldHandleRequest(request)) return;
+  
+  const route = findRoute(request);
+  if (!route) return;
+  
+  event.respondWith(
+    handleRequest(request, route, event)
+      .catch(error => {
+        console.error('Service Worker: ошибка обработки запроса:', error);
+        
+        // Навигации без сети получают оффлайн-страницу коридора
+        if (request.mode === 'navigate') {
+          return matchPrecache({ url: OFFLINE_PAGE_URL }).then(page => page || fetch(request));
+        }
+        return fetch(request);
+      })
+  );
+});
+
+/**
+ * Принимает данные share_target: сохраняет заголовок, текст, ссылку и изображения
+ * в IndexedDB и перенаправляет на страницу, которая превратит их в переход
+ * @param {Request} request - POST-запрос multipart/form-data
+ * @returns {Promise<Response>} - перенаправление на страницу share.html
+ */
+function handleShareTarget(request) {
+  return request.formData().then(form => {
+    const share = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      title: form.get('title') || '',
+      text: form.get('text') || '',
+      url: form.get('url') || '',
+      files: form.getAll(SHARE_CONFIG.filesField).filter(file => file && file.type && file.type.startsWith('image/')),
+      createdAt: Date.now()
+    };
+    
+    return withStore(SHARE_CONFIG.storeName, 'readwrite', store => store.put(share)).then(() => share.id);
+  }).then(id => {
+    return Response.redirect(`${SHARE_CONFIG.actionUrl}?${SHARE_CONFIG.idParam}=${encodeURIComponent(id)}`, 303);
+  }).catch(error => {
+    console.warn('Service Worker: не удалось принять данные share_target', error);
+    return Response.redirect(`${SHARE_CONFIG.actionUrl}?${SHARE_CONFIG.idParam}=error`, 303);
+  });
+}
+
+/**
+ * Проверяет, что адрес — одноразовая страница share.html?share=<id>
+ * Такие адреса не кэшируются: после того как страница забрала данные, они бесполезны
+ * @param {string} requestUrl - адрес запроса
+ * @returns {boolean} - true для страницы с идентификатором присланных данных
+ */
+function isShareLanding(requestUrl) {
+  const url = new URL(requestUrl);
+  return url.href.split(/[?#]/)[0] === SHARE_CONFIG.actionUrl && url.searchParams.has(SHARE_CONFIG.idParam);
+}
+
+/**
+ * Отдаёт странице сохранённые данные share_target и удаляет их вместе с устаревшими
+ * @param {string} id - идентификатор из адреса страницы
+ * @returns {Promise<Object|null>} - { title, text, url, files } или null
+ */
+function takeShare(id) {
+  return withStore(SHARE_CONFIG.storeName, 'readonly', store => store.getAll()).then(shares => {
+    const now = Date.now();
+    const stale = shares.filter(share => share.id === id || now - share.createdAt > SHARE_CONFIG.maxAge);
+    
+    return Promise.all(
+      stale.map(share => withStore(SHARE_CONFIG.storeName, 'readwrite', store => store.delete(share.id)))
+    ).then(() => shares.find(share => share.id === id) || null);
+  });
+}
+
+/**
+ * Проверка, нужно ли обрабатывать запрос
+ */
+function shouldHandleRequest(request) {
+  const url = new URL(request.url);
+  const pathname = url.pathname;
+  
+  // Обрабатываем только GET запросы по http(s)
+  if (request.method !== 'GET' || !url.protocol.startsWith('http')) {
+    return false;
+  }
+  
+  // Не кэшируем запросы к excluded путям
+  if (url.origin === self.location.origin) {
+    for (const excludedPath of EXCLUDED_CACHE) {
+      if (pathname.startsWith(excludedPath)) {
+        return false;
+      }
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Превращает glob в регулярное выражение (поддерживаются **, *, ? и {a,b})
+ * @param {string} glob - шаблон пути от корня сайта
+ * @returns {RegExp} - регулярное выражение для пути
+ */
+function globToRegExp(glob) {
+  let source = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" совпадает с любым числом каталогов, в том числе нулевым
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      const options = glob.slice(i + 1, end).split(',').map(escapeRegExp);
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Экранирует спецсимволы регулярного выражения
+ * @param {string} value - исходная строка
+ * @returns {string} - экранированная строка
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Glob-шаблоны компилируются один раз
+ROUTES.forEach(route => {
+  if (typeof route.match === 'string') {
+    route.pattern = globToRegExp(route.match);
+  }
+});
+
+/**
+ * Подбирает маршрут для запроса
+ * Glob-шаблоны применяются только к адресам своего сайта
+ * @param {Request} request - запрос
+ * @returns {Object|null} - маршрут или null
+ */
+function findRoute(request) {
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+  
+  return ROUTES.find(route => {
+    if (route.match instanceof RegExp) {
+      return route.match.test(url.href);
+    }
+    if (typeof route.match === 'function') {
+      return isSameOrigin && route.match(url, request);
+    }
+    if (!isSameOrigin || !url.href.startsWith(SITE_ROOT.href)) {
+      return false;
+    }
+    return route.pattern.test(decodeURIComponent(url.href.slice(SITE_ROOT.href.length).split(/[?#]/)[0]));
+  }) || null;
+}
+
+/**
+ * Обработка запроса по стратегии маршрута
+ */
+function handleRequest(request, route, event) {
+  const strategy = cacheStrategies[route.strategy];
+  if (!strategy) {
+    return Promise.reject(new Error(`Unknown caching strategy: ${route.strategy}`));
+  }
+  
+  return strategy(request, route, event);
+}
+
+/**
+ * Ищет ответ в кэше предзагрузки, затем в кэше маршрута
+ * Ресурсы манифеста всегда берутся из предзагрузки: её ревизии совпадают с версией воркера,
+ * а runtime-кэш может хранить копию из прошлой версии
+ * @param {Request} request - запрос
+ * @param {Object} route - маршрут
+ * @param {FetchEvent} event - событие fetch, которое продлевается на учёт обращения
+ * @returns {Promise<Response|undefined>} - закэшированный ответ
+ */
+function matchCached(request, route, event) {
+  if (getPrecacheEntryKey(request.url)) {
+    return matchPrecache(request).then(precached => precached || matchRuntime(request, route, event));
+  }
+  
+  return matchRuntime(request, route, event);
+}
+
+/**
+ * Ищет ответ в кэше маршрута
+ * Ответ отдаётся сразу, метаданные обновляются в фоне через event.waitUntil
+ * @param {Request} request - запрос
+ * @param {Object} route - маршрут
+ * @param {FetchEvent} event - событие fetch
+ * @returns {Promise<Response|undefined>} - закэшированный ответ
+ */
+function matchRuntime(request, route, event) {
+  return caches.open(route.cacheName).then(cache => cache.match(request)).then(response => {
+    if (response) {
+      event.waitUntil(trackCacheAccess(request, route));
+    }
+    return response;
+  });
+}
+
+/**
+ * Учитывает обращение к записи runtime-кэша
+ * Запись без метаданных (например, от прошлой версии воркера) начинает отсчёт заново.
+ * Просроченная по maxAgeSeconds запись отдаётся в последний раз и удаляется,
+ * так что следующий запрос пойдёт в сеть
+ * @param {Request} request - запрос
+ * @param {Object} route - маршрут
+ * @returns {Promise} - завершение учёта
+ */
+function trackCacheAccess(request, route) {
+  // Синхронная ошибка открытия базы не должна сорвать уже отданный ответ
+  return Promise.resolve().then(() => expiration.get(route.cacheName, request.url)).then(entry => {
+    if (!entry) {
+      return expiration.record(route.cacheName, request.url, 0);
+    }
+    
+    if (expiration.isExpired(entry, route)) {
+      return expiration.remove([entry]);
+    }
+    
+    return expiration.touch(entry);
+  }).catch(error => {
+    // Без IndexedDB кэш продолжает работать, но без сроков хранения
+    console.warn('Service Worker: метаданные кэша недоступны', error);
+  });
+}
+
+/**
+ * Проверяет, можно ли положить ответ в кэш
+ * Ошибки и непрозрачные ответы (статус которых неизвестен) не кэшируются
+ * @param {Response} response - ответ сети
+ * @returns {boolean} - true если ответ стоит кэшировать
+ */
+function isCacheable(response) {
+  return Boolean(response) && response.ok;
+}
+
+/**
+ * Кладёт ответ в кэш маршрута и применяет ограничения маршрута
+ * Ресурсы манифеста в runtime-кэш не попадают: их версию задаёт только предзагрузка,
+ * одноразовые страницы share.html?share=<id> — тоже
+ * @param {Request} request - запрос
+ * @param {Response} response - ответ сети (будет клонирован)
+ * @param {Object} route - маршрут
+ * @returns {Promise} - завершение записи
+ */
+function putInCache(request, response, route) {
+  if (!isCacheable(response) || getPrecacheEntryKey(request.url) || isShareLanding(request.url)) {
+    return Promise.resolve();
+  }
+  
+  const copy = response.clone();
+  return getResponseSize(response.clone()).then(size => {
+    return caches.open(route.cacheName)
+      .then(cache => cache.put(request, copy))
+      .then(() => expiration.record(route.cacheName, request.url, size));
+  }).then(() => {
+    return expiration.enforce(route);
+  }).then(() => {
+    return expiration.checkQuota();
+  }).catch(error => {
+    console.warn('Service Worker: не удалось сохранить в кэш', request.url, error);
+  });
+}
+
+/**
+ * Определяет размер тела ответа
+ * @param {Response} response - копия ответа
+ * @returns {Promise<number>} - размер в байтах
+ */
+function getResponseSize(response) {
+  const length = parseInt(response.headers.get('content-length'), 10);
+  
+  // Сжатые ответы сообщают размер при передаче, поэтому надёжнее прочитать тело
+  if (length > 0 && !response.headers.get('content-encoding')) {
+    return Promise.resolve(length);
+  }
+  
+  return response.blob().then(blob => blob.size).catch(() => 0);
+}
+
+/**
+ * Оборачивает IDBRequest в Promise
+ * @param {IDBRequest} request - запрос IndexedDB
+ * @returns {Promise} - результат запроса
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Срок хранения и вытеснение записей runtime-кэшей
+ * Время записи и последнего обращения хранится в IndexedDB,
+ * поэтому работает и для ответов без заголовка date
+ */
+let dbPromise = null;
+
+/**
+ * Открывает базу воркера, создавая недостающие хранилища
+ * @returns {Promise<IDBDatabase>} - база данных
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_CONFIG.name, DB_CONFIG.version);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      
+      if (!db.objectStoreNames.contains(EXPIRATION_CONFIG.storeName)) {
+        const store = db.createObjectStore(EXPIRATION_CONFIG.storeName, { keyPath: 'id' });
+        store.createIndex('cacheName', 'cacheName');
+      }
+      
+      if (!db.objectStoreNames.contains(OUTBOX_CONFIG.storeName)) {
+        const store = db.createObjectStore(OUTBOX_CONFIG.storeName, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      }
+      
+      if (!db.objectStoreNames.contains(SHARE_CONFIG.storeName)) {
+        const store = db.createObjectStore(SHARE_CONFIG.storeName, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      }
+    };
+    
+    dbPromise = promisifyRequest(request).catch(error => {
+      // При следующем обращении попробуем открыть базу заново
+      dbPromise = null;
+      throw error;
+    });
+  }
+  
+  return dbPromise;
+}
+
+/**
+ * Выполняет операцию над хранилищем базы воркера
+ * @param {string} storeName - имя хранилища
+ * @param {string} mode - 'readonly' или 'readwrite'
+ * @param {Function} callback - (store) => IDBRequest
+ * @returns {Promise} - результат операции
+ */
+function withStore(storeName, mode, callback) {
+  return openDatabase().then(db => {
+    const transaction = db.transaction(storeName, mode);
+    const result = promisifyRequest(callback(transaction.objectStore(storeName)));
+    
+    // Ошибка запроса отменяет транзакцию и приходит через её обработчики
+    result.catch(() => {});
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = event => reject(transaction.error || event.target.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  });
+}
+
+const expiration = {
+  lastQuotaCheck: 0,
+  
+  /**
+   * Выполняет операцию над хранилищем метаданных
+   * @param {string} mode - 'readonly' или 'readwrite'
+   * @param {Function} callback - (store) => IDBRequest
+   * @returns {Promise} - результат операции
+   */
+  withStore(mode, callback) {
+    return withStore(EXPIRATION_CONFIG.storeName, mode, callback);
+  },
+  
+  /**
+   * Сохраняет запись о новом ответе в кэше
+   * @param {string} cacheName - имя кэша
+   * @param {string} url - адрес ответа
+   * @param {number} size - размер ответа в байтах
+   * @returns {Promise} - завершение записи
+   */
+  record(cacheName, url, size) {
+    const now = Date.now();
+    return this.withStore('readwrite', store => store.put({
+      id: `${cacheName}|${url}`,
+      cacheName,
+      url,
+      size,
+      createdAt: now,
+      accessedAt: now
+    }));
+  },
+  
+  /**
+   * Возвращает метаданные записи
+   * @param {string} cacheName - имя кэша
+   * @param {string} url - адрес ответа
+   * @returns {Promise<Object|undefined>} - метаданные
+   */
+  get(cacheName, url) {
+    return this.withStore('readonly', store => store.get(`${cacheName}|${url}`));
+  },
+  
+  /**
+   * Отмечает обращение к записи (для вытеснения давно не используемых)
+   * @param {Object} entry - метаданные записи
+   * @returns {Promise} - завершение записи
+   */
+  touch(entry) {
+    return this.withStore('readwrite', store => store.put({ ...entry, accessedAt: Date.now() }));
+  },
+  
+  /**
+   * Проверяет, истёк ли срок хранения записи
+   * @param {Object} entry - метаданные записи
+   * @param {Object} route - маршрут
+   * @returns {boolean} - true если запись устарела
+   */
+  isExpired(entry, route) {
+    return Boolean(route.maxAgeSeconds) && Date.now() - entry.createdAt > route.maxAgeSeconds * 1000;
+  },
+  
+  /**
+   * Возвращает записи кэша от давно не используемых к недавним
+   * @param {string} [cacheName] - имя кэша; без него — записи всех кэшей
+   * @returns {Promise<Array<Object>>} - метаданные записей
+   */
+  list(cacheName) {
+    return this.withStore('readonly', store => {
+      return cacheName ? store.index('cacheName').getAll(cacheName) : store.getAll();
+    }).then(entries => entries.sort((a, b) => a.accessedAt - b.accessedAt));
+  },
+  
+  /**
+   * Удаляет записи из кэша и из базы метаданных
+   * @param {Array<Object>} entries - метаданные удаляемых записей
+   * @returns {Promise<number>} - число удалённых записей
+   */
+  remove(entries) {
+    if (!entries.length) return Promise.resolve(0);
+    
+    return Promise.all(entries.map(entry => {
+      return caches.open(entry.cacheName).then(cache => cache.delete(entry.url));
+    })).then(() => {
+      return this.withStore('readwrite', store => {
+        let request = null;
+        entries.forEach(entry => {
+          request = store.delete(entry.id);
+        });
+        return request;
+      });
+    }).then(() => entries.length);
+  },
+  
+  /**
+   * Применяет к кэшу маршрута ограничения maxAgeSeconds, maxEntries и maxBytes
+   * @param {Object} route - маршрут
+   * @returns {Promise<number>} - число удалённых записей
+   */
+  enforce(route) {
+    return this.list(route.cacheName).then(entries => {
+      const expired = entries.filter(entry => this.isExpired(entry, route));
+      const alive = entries.filter(entry => !this.isExpired(entry, route));
+      const evicted = [];
+      let bytes = alive.reduce((sum, entry) => sum + entry.size, 0);
+      
+      // Вытесняем давно не используемые записи, пока кэш не уложится в лимиты
+      while (alive.length > 0 &&
+             ((route.maxEntries && alive.length > route.maxEntries) ||
+              (route.maxBytes && bytes > route.maxBytes))) {
+        const entry = alive.shift();
+        bytes -= entry.size;
+        evicted.push(entry);
+      }
+      
+      return this.remove(expired.concat(evicted));
+    });
+  },
+  
+  /**
+   * Удаляет просроченные записи всех маршрутов
+   * @returns {Promise<number>} - число удалённых записей
+   */
+  enforceAll() {
+    return Promise.all(ROUTES.map(route => this.enforce(route)))
+      .then(counts => counts.reduce((sum, count) => sum + count, 0));
+  },
+  
+  /**
+   * Освобождает место, если хранилище близко к квоте браузера
+   * Проверка выполняется не чаще раза в EXPIRATION_CONFIG.quotaCheckInterval
+   * @returns {Promise<number>} - число удалённых записей
+   */
+  checkQuota() {
+    const now = Date.now();
+    if (!self.navigator.storage || !self.navigator.storage.estimate ||
+        now - this.lastQuotaCheck < EXPIRATION_CONFIG.quotaCheckInterval) {
+      return Promise.resolve(0);
+    }
+    this.lastQuotaCheck = now;
+    
+    return self.navigator.storage.estimate().then(({ usage, quota }) => {
+      if (!quota || usage / quota < EXPIRATION_CONFIG.quotaThreshold) return 0;
+      
+      // Освобождаем место до целевой доли квоты, начиная с давно не используемых записей
+      let toFree = usage - quota * EXPIRATION_CONFIG.quotaTarget;
+      return this.list().then(entries => {
+        const evicted = [];
+        
+        for (const entry of entries) {
+          if (toFree <= 0 && evicted.length >= EXPIRATION_CONFIG.minQuotaEviction) break;
+          evicted.push(entry);
+          toFree -= entry.size;
+        }
+        
+        console.warn(`Service Worker: хранилище заполнено на ${Math.round(usage / quota * 100)}%, удаляем ${evicted.length} записей`);
+        return this.remove(evicted);
+      });
+    });
+  }
+};
+
+/**
+ * Выполняет сетевой запрос для маршрута
+ * Для маршрутов с corsUpgrade запрос no-cors повторяется в режиме cors,
+ * чтобы получить читаемый ответ со статусом; при отказе CORS — исходный запрос
+ * @param {Request} request - запрос
+ * @param {Object} route - маршрут
+ * @returns {Promise<Response>} - ответ сети
+ */
+function fetchForRoute(request, route) {
+  if (!route.corsUpgrade || request.mode !== 'no-cors') {
+    return fetch(request);
+  }
+  
+  const corsRequest = new Request(request.url, { mode: 'cors', credentials: 'omit' });
+  return fetch(corsRequest).catch(() => fetch(request));
+}
+
+/**
+ * Выполняет сетевой запрос с ограничением по времени
+ * @param {Request} request - запрос
+ * @param {Object} route - маршрут
+ * @param {number} [timeoutSeconds] - таймаут в секундах
+ * @returns {Promise<Response>} - ответ сети
+ */
+function fetchWithTimeout(request, route, timeoutSeconds) {
+  if (!timeoutSeconds) return fetchForRoute(request, route);
+  
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), timeoutSeconds * 1000);
+    
+    fetchForRoute(request, route).then(response => {
+      clearTimeout(timer);
+      resolve(response);
+    }, error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Обработчики запросов от страниц
+ * Каждый получает payload запроса и событие message и возвращает результат (или Promise с ним)
+ */
+const MESSAGE_HANDLERS = {
+  GET_CACHE_SIZE: () => getCacheSize(),
+  CLEAR_CACHE: () => clearCache(),
+  LIST_CACHED_URLS: payload => listCachedUrls(payload.cacheName),
+  SYNC_CACHE: () => syncCache(),
+  VERSION: () => getVersionInfo(),
+  OUTBOX_ENQUEUE: (payload, event) => outbox.enqueue(payload).then(result => {
+    // Страница не ждёт отправки: досылка продолжается в фоне
+    event.waitUntil(outbox.schedule().catch(() => {}));
+    return result;
+  }),
+  OUTBOX_FLUSH: () => outbox.replay(),
+  SHARE_TAKE: payload => takeShare(payload.id)
+};
+
+/**
+ * Обработка сообщений от основного потока
+ * Запрос { id, type, payload } приходит вместе с портом MessageChannel,
+ * ответ { id, type, ok, result | error } уходит в этот порт.
+ * SKIP_WAITING ответа не требует
+ */
+self.addEventListener('message', event => {
+  const message = event.data || {};
+  
+  if (message.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+    return;
+  }
+  
+  const port = event.ports && event.ports[0];
+  if (!port) {
+    console.warn('Service Worker: сообщение без порта для ответа:', message.type);
+    return;
+  }
+  
+  const handler = MESSAGE_HANDLERS[message.type];
+  const result = handler
+    ? Promise.resolve().then(() => handler(message.payload || {}, event))
+    : Promise.reject(new Error(`Unknown message type: ${message.type}`));
+  
+  event.waitUntil(
+    result.then(value => {
+      port.postMessage({ id: message.id, type: message.type, ok: true, result: value });
+    }, error => {
+      console.warn('Service Worker: запрос не выполнен', message.type, error);
+      port.postMessage({ id: message.id, type: message.type, ok: false, error: error.message || String(error) });
+    })
+  );
+});
+
+/**
+ * Рассылает сообщение всем открытым страницам сайта
+ * @param {Object} message - сообщение
+ * @returns {Promise<void>}
+ */
+function notifyClients(message) {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+    windows.forEach(client => client.postMessage(message));
+  });
+}
+
+/**
+ * Возвращает имена существующих кэшей текущей версии
+ * @returns {Promise<Array<string>>} - имена кэшей
+ */
+function getCurrentCacheNames() {
+  return caches.keys().then(names => names.filter(name => CURRENT_CACHES.has(name)));
+}
+
+/**
+ * Убирает параметр ревизии из ключа кэша предзагрузки
+ * @param {string} url - ключ кэша
+ * @returns {string} - адрес ресурса
+ */
+function stripRevision(url) {
+  const clean = new URL(url);
+  clean.searchParams.delete(REVISION_PARAM);
+  return clean.href;
+}
+
+/**
+ * Считает размер кэшей текущей версии
+ * Непрозрачные ответы не раскрывают размер и учитываются как 0
+ * @returns {Promise<{bytes: number, entries: number, caches: Object}>} - итог и размеры по кэшам
+ */
+function getCacheSize() {
+  return getCurrentCacheNames().then(names => {
+    return Promise.all(names.map(name => {
+      return caches.open(name).then(cache => {
+        return cache.keys().then(requests => Promise.all(
+          requests.map(request => cache.match(request).then(response => response ? getResponseSize(response) : 0))
+        ));
+      }).then(sizes => ({
+        name,
+        entries: sizes.length,
+        bytes: sizes.reduce((sum, size) => sum + size, 0)
+      }));
+    }));
+  }).then(stats => {
+    return stats.reduce((total, stat) => {
+      total.bytes += stat.bytes;
+      total.entries += stat.entries;
+      total.caches[stat.name] = { entries: stat.entries, bytes: stat.bytes };
+      return total;
+    }, { bytes: 0, entries: 0, caches: {} });
+  });
+}
+
+/**
+ * Перечисляет адреса в кэшах текущей версии
+ * @param {string} [cacheName] - только указанный кэш
+ * @returns {Promise<Object>} - имя кэша -> список адресов
+ */
+function listCachedUrls(cacheName) {
+  return getCurrentCacheNames().then(names => {
+    const selected = cacheName ? names.filter(name => name === cacheName) : names;
+    
+    return Promise.all(selected.map(name => {
+      return caches.open(name).then(cache => cache.keys()).then(requests => {
+        const urls = requests.map(request => {
+          return name === STATIC_CACHE_NAME ? stripRevision(request.url) : request.url;
+        });
+        return [name, urls];
+      });
+    }));
+  }).then(entries => Object.fromEntries(entries));
+}
+
+/**
+ * Перепроверяет по сети записи runtime-кэшей и докачивает недостающие ресурсы манифеста
+ * Записи предзагрузки не перекачиваются: их ключи и так привязаны к ревизии содержимого
+ * @returns {Promise<{updated: number, failed: number}>} - итог синхронизации
+ */
+function syncCache() {
+  return Promise.all(ROUTES.map(route => {
+    return caches.open(route.cacheName).then(cache => cache.keys()).then(requests => {
+      return requests.map(request => ({ request, route }));
+    });
+  })).then(groups => {
+    const jobs = groups.flat();
+    
+    return Promise.allSettled(jobs.map(({ request, route }) => {
+      const fresh = new Request(request.url, route.corsUpgrade
+        ? { mode: 'cors', credentials: 'omit' }
+        : { credentials: 'same-origin' });
+      
+      return fetch(fresh).then(response => {
+        if (!isCacheable(response)) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return putInCache(fresh, response, route);
+      });
+    }));
+  }).then(results => {
+    return precacheAll().then(() => ({
+      updated: results.filter(result => result.status === 'fulfilled').length,
+      failed: results.filter(result => result.status === 'rejected').length
+    }));
+  });
+}
+
+/**
+ * Сведения о версии воркера
+ * @returns {{version: string, precacheEntries: number, caches: Array<string>}} - версия и кэши
+ */
+function getVersionInfo() {
+  return {
+    version: self.__PRECACHE_VERSION || null,
+    precacheEntries: PRECACHE_ENTRIES.size,
+    caches: Array.from(CURRENT_CACHES)
+  };
+}
+
+/**
+ * Очистка кэша
+ * @returns {Promise<void>}
+ */
+function clearCache() {
+  return Promise.all(
+    Array.from(CURRENT_CACHES).map(cacheName => caches.delete(cacheName))
+  ).then(() => {
+    return expiration.withStore('readwrite', store => store.clear()).catch(() => {});
+  }).then(() => {
+    console.log('Service Worker: кэш очищен');
+    return notifyClients({
+      type: 'CACHE_CLEARED'
+    });
+  });
+}
+
+/**
+ * Очередь исходящих запросов
+ * Страницы кладут сюда POST-запросы (переходы, поисковые запросы с 404), воркер досылает их
+ * по событию sync. Повторная постановка запроса с тем же id не создаёт дубликат,
+ * а заголовок Idempotency-Key позволяет серверу отбросить повтор уже принятого запроса
+ */
+const outbox = {
+  replaying: null,
+  
+  /**
+   * Ставит запрос в очередь
+   * @param {Object} payload - { id?, url, body, headers? }
+   * @returns {Promise<{id: string, queued: boolean}>} - id запроса и был ли он новым
+   */
+  enqueue(payload) {
+    const url = new URL(payload.url, SITE_ROOT);
+    if (!/^https?:$/.test(url.protocol)) {
+      return Promise.reject(new Error(`Unsupported outbox URL: ${payload.url}`));
+    }
+    
+    const now = Date.now();
+    const entry = {
+      id: payload.id || `${now}-${Math.random().toString(36).slice(2, 10)}`,
+      url: url.href,
+      body: typeof payload.body === 'string' ? payload.body : JSON.stringify(payload.body),
+      headers: payload.headers || { 'Content-Type': 'application/json' },
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now
+    };
+    
+    // add() не перезаписывает существующую запись: повтор с тем же id отбрасывается
+    return withStore(OUTBOX_CONFIG.storeName, 'readwrite', store => store.add(entry)).then(() => {
+      return { id: entry.id, queued: true };
+    }, error => {
+      if (error && error.name === 'ConstraintError') {
+        return { id: entry.id, queued: false };
+      }
+      throw error;
+    }).then(result => {
+      return this.trim().then(() => result);
+    });
+  },
+  
+  /**
+   * Возвращает все запросы очереди от старых к новым
+   * @returns {Promise<Array<Object>>} - записи очереди
+   */
+  list() {
+    return withStore(OUTBOX_CONFIG.storeName, 'readonly', store => store.index('createdAt').getAll());
+  },
+  
+  /**
+   * Удаляет запрос из очереди
+   * @param {string} id - id запроса
+   * @returns {Promise}
+   */
+  remove(id) {
+    return withStore(OUTBOX_CONFIG.storeName, 'readwrite', store => store.delete(id));
+  },
+  
+  /**
+   * Вытесняет самые старые запросы сверх maxEntries
+   * @returns {Promise<number>} - число удалённых запросов
+   */
+  trim() {
+    return this.list().then(entries => {
+      const excess = entries.slice(0, Math.max(0, entries.length - OUTBOX_CONFIG.maxEntries));
+      return Promise.all(excess.map(entry => this.remove(entry.id))).then(() => excess.length);
+    });
+  },
+  
+  /**
+   * Задержка перед следующей попыткой: экспонента с небольшим случайным разбросом
+   * @param {number} attempts - число неудачных попыток
+   * @returns {number} - задержка в мс
+   */
+  getBackoff(attempts) {
+    const delay = Math.min(OUTBOX_CONFIG.maxDelay, OUTBOX_CONFIG.baseDelay * Math.pow(2, attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  },
+  
+  /**
+   * Отправляет один запрос
+   * Ответы 2xx и окончательные ошибки клиента (4xx, кроме 408 и 429) убирают запрос из очереди
+   * @param {Object} entry - запись очереди
+   * @returns {Promise<boolean>} - true если запрос больше не нужно повторять
+   */
+  send(entry) {
+    return fetch(entry.url, {
+      method: 'POST',
+      headers: { ...entry.headers, 'Idempotency-Key': entry.id },
+      body: entry.body,
+      mode: 'cors',
+      credentials: 'omit',
+      keepalive: true
+    }).then(response => {
+      if (response.ok) return true;
+      
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      if (!retryable) {
+        console.warn('Service Worker: запрос очереди отклонён', entry.url, response.status);
+      }
+      return !retryable;
+    }, () => false);
+  },
+  
+  /**
+   * Досылает запросы, срок повтора которых наступил
+   * Одновременно выполняется только одна досылка
+   * @returns {Promise<{sent: number, pending: number, dropped: number}>} - итог досылки
+   */
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.replayDue().then(result => {
+        this.replaying = null;
+        return result;
+      }, error => {
+        this.replaying = null;
+        throw error;
+      });
+    }
+    
+    return this.replaying;
+  },
+  
+  /**
+   * Последовательно отправляет просроченные запросы (см. replay)
+   * @returns {Promise<{sent: number, pending: number, dropped: number}>} - итог досылки
+   */
+  replayDue() {
+    const result = { sent: 0, pending: 0, dropped: 0 };
+    
+    return this.list().then(entries => {
+      return entries.reduce((chain, entry) => chain.then(() => {
+        const now = Date.now();
+        
+        if (now - entry.createdAt > OUTBOX_CONFIG.maxAge) {
+          result.dropped++;
+          return this.remove(entry.id);
+        }
+        
+        if (entry.nextAttemptAt > now) {
+          result.pending++;
+          return null;
+        }
+        
+        return this.send(entry).then(done => {
+          if (done) {
+            result.sent++;
+            return this.remove(entry.id);
+          }
+          
+          const attempts = entry.attempts + 1;
+          if (attempts >= OUTBOX_CONFIG.maxAttempts) {
+            result.dropped++;
+            return this.remove(entry.id);
+          }
+          
+          result.pending++;
+          return withStore(OUTBOX_CONFIG.storeName, 'readwrite', store => store.put({
+            ...entry,
+            attempts,
+            nextAttemptAt: Date.now() + this.getBackoff(attempts)
+          }));
+        });
+      }), Promise.resolve());
+    }).then(() => {
+      if (result.sent || result.dropped) {
+        console.log(`Service Worker: очередь — отправлено ${result.sent}, выброшено ${result.dropped}, ожидает ${result.pending}`);
+      }
+      return result;
+    });
+  },
+  
+  /**
+   * Просит браузер досылать очередь, когда появится сеть
+   * Без Background Sync очередь досылается сразу и по запросу страницы (OUTBOX_FLUSH)
+   * @returns {Promise<boolean>} - true если фоновая синхронизация зарегистрирована
+   */
+  schedule() {
+    if (!self.registration.sync) {
+      return this.replay().then(() => false);
+    }
+    
+    return self.registration.sync.register(OUTBOX_CONFIG.syncTag).then(() => true, () => {
+      return this.replay().then(() => false);
+    });
+  }
+};
+
+/**
+ * Фоновая синхронизация очереди исходящих запросов
+ * Если в очереди остались запросы, событие завершается ошибкой,
+ * и браузер повторит синхронизацию позже со своей задержкой
+ */
+self.addEventListener('sync', event => {
+  if (event.tag !== OUTBOX_CONFIG.syncTag) return;
+  
+  event.waitUntil(
+    outbox.replay().then(result => {
+      if (result.pending > 0) {
+        throw new Error(`Outbox has ${result.pending} pending requests`);
+      }
+    })
+  );
+});
+
+/**
+ * Читает данные push-сообщения: JSON { type, title, body, corridor, url, icon } или текст
+ * @param {PushEvent} event - событие push
+ * @returns {Object} - данные сообщения
+ */
+function parsePushPayload(event) {
+  if (!event.data) return { type: 'announcement' };
+  
+  try {
+    return event.data.json();
+  } catch (error) {
+    return { type: 'announcement', body: event.data.text() };
+  }
+}
+
+/**
+ * Определяет адрес, который откроется по нажатию на уведомление
+ * @param {Object} payload - данные сообщения
+ * @returns {string} - адрес страницы
+ */
+function getNotificationTarget(payload) {
+  if (payload.corridor) {
+    const hash = `${PUSH_CONFIG.corridorHashKey}=${encodeURIComponent(payload.corridor)}`;
+    return new URL(`${PUSH_CONFIG.corridorPage}#${hash}`, SITE_ROOT).href;
+  }
+  
+  if (payload.url) {
+    try {
+      const url = new URL(payload.url, SITE_ROOT);
+      if (url.origin === self.location.origin || PUSH_CONFIG.allowedOrigins.includes(url.origin)) {
+        return url.href;
+      }
+    } catch (error) {
+      console.warn('Service Worker: некорректный адрес в push-сообщении', payload.url);
+    }
+  }
+  
+  return SITE_ROOT.href;
+}
+
+/**
+ * Показ push-уведомлений
+ * Сообщение об обновлении заодно запускает проверку новой версии воркера
+ */
+self.addEventListener('push', event => {
+  const payload = parsePushPayload(event);
+  const template = PUSH_TEMPLATES[payload.type] || PUSH_TEMPLATES.announcement;
+  const notification = template(payload);
+  
+  const beforeShow = payload.type === 'update'
+    ? self.registration.update().catch(() => {})
+    : Promise.resolve();
+  
+  event.waitUntil(
+    beforeShow.then(() => {
+      return self.registration.showNotification(notification.title, {
+        body: notification.body,
+        tag: notification.tag,
+        icon: payload.icon,
+        lang: 'ru',
+        data: {
+          type: payload.type,
+          corridor: payload.corridor || null,
+          url: getNotificationTarget(payload)
+        }
+      });
+    })
+  );
+});
+
+/**
+ * Переход по нажатию на уведомление
+ * Открытая вкладка сайта переводится на нужный коридор, иначе открывается новая
+ */
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  
+  const target = (event.notification.data && event.notification.data.url) || SITE_ROOT.href;
+  const isSameOrigin = new URL(target).origin === self.location.origin;
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(windows => {
+      const exact = windows.find(client => client.url === target);
+      if (exact) return exact.focus();
+      
+      const sameSite = isSameOrigin && windows.find(client => client.url.startsWith(SITE_ROOT.href));
+      if (sameSite) {
+        return sameSite.navigate(target).then(client => (client || sameSite).focus());
+      }
+      
+      return self.clients.openWindow(target);
+    })
+  );
+});
+
+/**
+ * Браузер заменил подписку: подписываемся заново с теми же параметрами
+ * Открытые страницы передают новую подписку серверу
+ */
+self.addEventListener('pushsubscriptionchange', event => {
+  const options = event.oldSubscription && event.oldSubscription.options;
+  if (!options) return;
+  
+  event.waitUntil(
+    self.registration.pushManager.subscribe(options).then(subscription => {
+      return notifyClients({
+        type: 'PUSH_SUBSCRIPTION_CHANGED',
+        payload: subscription.toJSON()
+      });
+    })
+  );
+});
+
+/**
+ * Стратегии кэширования
+ * Каждая стратегия получает запрос, маршрут из ROUTES и событие fetch
+ */
+const cacheStrategies = {
+  /**
+   * Стратегия "Cache First"
+   */
+  cacheFirst: (request, route, event) => {
+    return matchCached(request, route, event).then(response => {
+      if (response) {
+        return response;
+      }
+      
+      return fetchForRoute(request, route).then(fetchResponse => {
+        event.waitUntil(putInCache(request, fetchResponse, route));
+        return fetchResponse;
+      });
+    });
+  },
+  
+  /**
+   * Стратегия "Network First"
+   */
+  networkFirst: (request, route, event) => {
+    return fetchWithTimeout(request, route, route.networkTimeoutSeconds).then(fetchResponse => {
+      event.waitUntil(putInCache(request, fetchResponse, route));
+      return fetchResponse;
+    }).catch(error => {
+      return matchCached(request, route, event).then(response => {
+        if (response) {
+          return response;
+        }
+        throw error;
+      });
+    });
+  },
+  
+  /**
+   * Стратегия "Stale While Revalidate"
+   */
+  staleWhileRevalidate: (request, route, event) => {
+    // Ответ сети не ждёт записи в кэш и учёта сроков хранения
+    const network = fetchForRoute(request, route).then(fetchResponse => {
+      event.waitUntil(putInCache(request, fetchResponse, route));
+      return fetchResponse;
+    });
+    
+    // Обработчик сразу: если поиск в кэше упадёт, отказ сети не останется необработанным.
+    // Вызывающему ошибка сети по-прежнему приходит через return network
+    const revalidate = network.catch(() => {});
+    
+    return matchCached(request, route, event).then(cached => {
+      if (cached) {
+        // Обновление кэша продолжается в фоне
+        event.waitUntil(revalidate);
+        return cached;
+      }
+      
+      return network;
+    });
+  }
+};
+
+/**
+ * Обработка ошибок
+ */
+self.addEventListener('error', event => {
+  console.error('Service Worker ошибка:', event.error);
+  
+  // Отправляем ошибку в аналитику
+  if (self.registration && self.registration.scope) {
+    self.registration.update().then(() => {
+      console.log('Service Worker: обновлен после ошибки');
+    });
+  }
+});
+
+/**
+ * Логирование действий Service Worker
+ */
+const logger = {
+  log: (message, data = null) => {
+    console.log(`[SW] ${message}`, data);
+  },
+  
+  warn: (message, data = null) => {
+    console.warn(`[SW] ${message}`, data);
+  },
+  
+  error: (message, data = null) => {
+    console.error(`[SW] ${message}`, data);
+  }
+};